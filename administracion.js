@@ -0,0 +1,242 @@
+import admin from "firebase-admin";
+import crypto from "crypto";
+import moment from "moment-timezone";
+import { db, enviarCorreoExito, obtenerNombreUsuario, rutaPdfComprobante, enlaceComprobante } from './negocios.js';
+import { registrarMovimiento } from './creditos.js';
+import { obtenerProveedor, proveedorDePago } from './proveedoresPago.js';
+import { logger } from './seguridad.js';
+
+// ================================================================
+// 🛠️ HERRAMIENTAS DE SOPORTE (SOLO ADMINISTRADORES)
+// ================================================================
+
+export const COLECCION_AUDITORIA = "admin_auditoria";
+
+/**
+ * Deja constancia de una acción administrativa: quién, qué, sobre quién y por qué
+ */
+export async function registrarAuditoria(adminUser, { accion, objetivo = null, motivo = null, detalle = {} }) {
+  const context = 'ADMIN_AUDITORIA';
+  try {
+    await db.collection(COLECCION_AUDITORIA).add({
+      accion,
+      objetivo,
+      motivo,
+      detalle,
+      adminUid: adminUser.uid,
+      adminEmail: adminUser.email,
+      fecha: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    logger.error(context, 'Error registrando auditoría', error, { accion, objetivo, adminUid: adminUser.uid });
+  }
+}
+
+function resumirCuenta(coleccion, doc) {
+  const data = doc.data();
+  return {
+    coleccion,
+    uid: doc.id,
+    email: data.email || null,
+    nombre: data.name || data.displayName || data.nombre || null,
+    creditos: data.creditos ?? null,
+    tipoPlan: data.tipoPlan || null,
+    planIlimitadoHasta: data.planIlimitadoHasta?.toDate() || null,
+    plan: data.plan || null,
+    planStatus: data.planStatus || null,
+    planExpiry: data.planExpiry?.toDate() || null
+  };
+}
+
+/**
+ * Busca cuentas en usuarios y empresas por uid exacto o por email
+ */
+export async function buscarUsuarios(termino) {
+  const resultados = [];
+  const vistos = new Set();
+
+  for (const coleccion of ['usuarios', 'empresas']) {
+    const ref = db.collection(coleccion);
+    const [porUid, porEmail] = await Promise.all([
+      ref.doc(termino).get(),
+      ref.where('email', 'in', [...new Set([termino, termino.toLowerCase()])]).limit(10).get()
+    ]);
+
+    for (const doc of [porUid, ...porEmail.docs]) {
+      const clave = `${coleccion}/${doc.id}`;
+      if (doc.exists && !vistos.has(clave)) {
+        vistos.add(clave);
+        resultados.push(resumirCuenta(coleccion, doc));
+      }
+    }
+  }
+
+  return resultados;
+}
+
+/**
+ * Lista los pagos de un usuario, del más reciente al más antiguo
+ */
+export async function obtenerPagosUsuario(uid, limite = 50) {
+  const snap = await db.collection("pagos_registrados").where('uid', '==', uid).limit(limite).get();
+  return snap.docs
+    .map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        planId: data.planId || null,
+        monto: data.monto,
+        estado: data.estado,
+        procesado: !!data.procesado,
+        revertido: !!data.revertido,
+        procesadoPor: data.procesadoPor || null,
+        pdfUrl: rutaPdfComprobante(data, doc.id) ? enlaceComprobante(doc.id) : null,
+        fechaRegistro: data.fechaRegistro?.toDate() || null
+      };
+    })
+    .sort((a, b) => (b.fechaRegistro || 0) - (a.fechaRegistro || 0));
+}
+
+/**
+ * Otorga (cantidad > 0) o retira (cantidad < 0) créditos pasando por el ledger
+ */
+export async function ajustarCreditos(uid, cantidad, { motivo, adminUser }) {
+  const idMovimiento = `admin_${crypto.randomUUID()}`;
+
+  return db.runTransaction(async (t) => {
+    const userRef = db.collection("usuarios").doc(uid);
+    const userSnap = await t.get(userRef);
+    if (!userSnap.exists) return { status: 'not_found', message: 'Usuario no encontrado' };
+
+    const saldoActual = userSnap.data().creditos || 0;
+    if (saldoActual + cantidad < 0) {
+      return { status: 'rechazado', message: `El usuario solo tiene ${saldoActual} créditos` };
+    }
+
+    const { saldoPosterior } = registrarMovimiento(t, userRef, {
+      uid,
+      saldoAnterior: saldoActual,
+      delta: cantidad,
+      motivo: cantidad > 0 ? 'ajuste_admin_credito' : 'ajuste_admin_debito',
+      idMovimiento,
+      origen: 'admin',
+      metadata: { adminUid: adminUser.uid, motivo }
+    });
+
+    return { status: 'success', saldoAnterior: saldoActual, saldo: saldoPosterior, movimientoId: idMovimiento };
+  });
+}
+
+/**
+ * Extiende el plan ilimitado (usuarios) o el de Revenue Recovery (empresas).
+ * `consultas` suma cuota al plan ilimitado; una activación nueva sin `consultas` queda sin límite.
+ */
+export async function extenderPlan(uid, tipo, dias, consultas = null) {
+  const ahora = new Date();
+
+  return db.runTransaction(async (t) => {
+    if (tipo === 'ilimitado') {
+      const userRef = db.collection("usuarios").doc(uid);
+      const userSnap = await t.get(userRef);
+      if (!userSnap.exists) return { status: 'not_found', message: 'Usuario no encontrado' };
+
+      const userData = userSnap.data();
+      const finActual = userData.planIlimitadoHasta?.toDate();
+      const activo = userData.tipoPlan === 'ilimitado' && finActual && finActual > ahora;
+      const nuevoFin = moment(activo ? finActual : ahora).add(dias, 'days').toDate();
+
+      const cuota = {};
+      if (!activo) {
+        cuota.consultasUsadas = 0;
+        cuota.umbralConsultas = consultas ?? admin.firestore.FieldValue.delete();
+      } else if (consultas && Number.isInteger(userData.umbralConsultas)) {
+        cuota.umbralConsultas = userData.umbralConsultas + consultas;
+      }
+
+      t.update(userRef, {
+        tipoPlan: "ilimitado",
+        planIlimitadoHasta: nuevoFin,
+        duracionDias: activo ? (userData.duracionDias || 0) + dias : dias,
+        fechaActivacion: activo ? userData.fechaActivacion : admin.firestore.FieldValue.serverTimestamp(),
+        ...cuota
+      });
+      return { status: 'success', finAnterior: activo ? finActual : null, nuevoFin };
+    }
+
+    if (tipo === 'revenue_recovery') {
+      const empresaRef = db.collection("empresas").doc(uid);
+      const empresaSnap = await t.get(empresaRef);
+      if (!empresaSnap.exists) return { status: 'not_found', message: 'Empresa no encontrada' };
+
+      const empresaData = empresaSnap.data();
+      const finActual = empresaData.planExpiry?.toDate();
+      const activo = empresaData.planStatus === 'active' && finActual && finActual > ahora;
+      const nuevoFin = moment(activo ? finActual : ahora).add(dias, 'days').toDate();
+
+      t.update(empresaRef, {
+        planStatus: 'active',
+        planExpiry: nuevoFin,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { status: 'success', finAnterior: activo ? finActual : null, nuevoFin };
+    }
+
+    return { status: 'rechazado', message: `Tipo de plan ${tipo} no válido` };
+  });
+}
+
+/**
+ * Reenvía el correo de compra exitosa con el enlace a la boleta
+ */
+export async function reenviarCorreoCompra(paymentId, resend) {
+  const pagoSnap = await db.collection("pagos_registrados").doc(paymentId).get();
+  if (!pagoSnap.exists) return { status: 'not_found', message: 'Pago no encontrado' };
+
+  const pago = pagoSnap.data();
+  if (!pago.procesado || !pago.email) {
+    return { status: 'rechazado', message: 'El pago no está aprobado o no tiene email' };
+  }
+
+  const nombre = await obtenerNombreUsuario(pago.uid, pago.email, pago.tipoPlanNuevo === 'revenue_recovery');
+  const conBoleta = !!rutaPdfComprobante(pago, paymentId);
+  const urlBoleta = conBoleta ? enlaceComprobante(paymentId, { absoluto: true }) : null;
+  const envio = await enviarCorreoExito(pago.email, nombre, paymentId, pago.monto, pago.descripcion, urlBoleta, resend);
+  return envio.success
+    ? { status: 'success', email: pago.email, conBoleta }
+    : { status: 'error', message: envio.error };
+}
+
+/**
+ * Reembolsa un pago aprobado en su pasarela (total o parcial). El beneficio se retira
+ * cuando llega la notificación 'refunded' del proveedor, no aquí.
+ */
+export async function reembolsarPago(paymentId, { monto = null } = {}) {
+  const pagoRef = db.collection("pagos_registrados").doc(paymentId);
+  const pagoSnap = await pagoRef.get();
+  if (!pagoSnap.exists) return { status: 'not_found', message: 'Pago no encontrado' };
+
+  const pago = pagoSnap.data();
+  if (!pago.procesado || pago.revertido) {
+    return { status: 'rechazado', message: 'El pago no está aprobado o ya fue revertido' };
+  }
+  if (monto !== null && !(monto > 0 && monto <= Number(pago.monto))) {
+    return { status: 'rechazado', message: 'El monto a reembolsar no es válido' };
+  }
+
+  const nombreProveedor = proveedorDePago(pago);
+  const proveedor = obtenerProveedor(nombreProveedor);
+  if (!proveedor?.reembolsar) {
+    return { status: 'rechazado', message: `La pasarela ${nombreProveedor || 'del pago'} no admite reembolsos desde el panel` };
+  }
+
+  try {
+    const reembolso = await proveedor.reembolsar(paymentId, { monto });
+    await pagoRef.update({
+      reembolsos: admin.firestore.FieldValue.arrayUnion({ ...reembolso, fecha: new Date() })
+    });
+    return { status: 'success', proveedor: nombreProveedor, ...reembolso };
+  } catch (error) {
+    logger.error('ADMIN_REEMBOLSO', 'Error reembolsando pago', error, { paymentId, proveedor: nombreProveedor });
+    return { status: 'error', message: error.message };
+  }
+}
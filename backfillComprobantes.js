@@ -0,0 +1,38 @@
+import { initFirebase, buildServiceAccountFromEnv } from './negocios.js';
+import { backfillComprobantes, privatizarComprobantes } from './regeneracionComprobantes.js';
+
+// ================================================================
+// 🔁 BACKFILL DE COMPROBANTES (tarea por lotes)
+// ================================================================
+// Uso: npm run backfill:comprobantes -- [--verificar] [--simular] [--privatizar] [--limite=N]
+//   --verificar  revisa también la cabecera de cada PDF para detectar archivos dañados
+//   --simular    solo informa los pagos afectados, no regenera nada
+//   --privatizar migración única: quita el acceso público de los comprobantes ya subidos
+//                (con --simular solo lista los que siguen públicos)
+
+const args = process.argv.slice(2);
+const privatizar = args.includes('--privatizar');
+const limite = parseInt(args.find(arg => arg.startsWith('--limite='))?.split('=')[1] || '', 10) || null;
+const opciones = {
+  verificarArchivos: args.includes('--verificar'),
+  simular: args.includes('--simular'),
+  ...(limite && { limite })
+};
+
+const serviceAccount = buildServiceAccountFromEnv();
+if (!serviceAccount) {
+  console.error('No se pudo construir el service account de Firebase (revisa las variables de entorno)');
+  process.exit(1);
+}
+await initFirebase(serviceAccount);
+
+try {
+  const reporte = privatizar
+    ? await privatizarComprobantes(opciones)
+    : await backfillComprobantes(opciones);
+  console.log(JSON.stringify(reporte, null, 2));
+  process.exit(reporte.fallidos.length ? 2 : 0);
+} catch (error) {
+  console.error('Error en el backfill de comprobantes:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { db } from './negocios.js';
+import { logger } from './seguridad.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ================================================================
+// 🗂️ CATÁLOGO DE PLANES (FUENTE ÚNICA DE PRECIOS)
+// ================================================================
+
+// Si existe catalogo_planes/vigente en Firestore, prevalece sobre planes.json
+export const COLECCION_CATALOGO = "catalogo_planes";
+export const DOC_CATALOGO_VIGENTE = "vigente";
+const CATALOGO_TTL_MS = parseInt(process.env.PLANS_CACHE_TTL_MS || '', 10) || 5 * 60 * 1000;
+const RUTA_CATALOGO_LOCAL = path.join(__dirname, 'planes.json');
+
+let catalogoCache = null;
+let catalogoCargadoEn = 0;
+
+function leerCatalogoLocal() {
+  const contenido = JSON.parse(fs.readFileSync(RUTA_CATALOGO_LOCAL, 'utf8'));
+  return { ...contenido, origen: 'archivo' };
+}
+
+function normalizarCatalogo(catalogo) {
+  const planes = {};
+  for (const plan of catalogo.planes || []) {
+    if (!plan.id || typeof plan.precio !== 'number') continue;
+    planes[plan.id] = { activo: true, ...plan };
+  }
+  return { version: catalogo.version, origen: catalogo.origen, planes };
+}
+
+/**
+ * Carga el catálogo (Firestore o planes.json) y lo guarda en memoria unos minutos
+ */
+export async function cargarCatalogo({ forzar = false } = {}) {
+  const context = 'CATALOGO_PLANES';
+
+  if (!forzar && catalogoCache && Date.now() - catalogoCargadoEn < CATALOGO_TTL_MS) {
+    return catalogoCache;
+  }
+
+  let catalogo = null;
+  if (db) {
+    try {
+      const snap = await db.collection(COLECCION_CATALOGO).doc(DOC_CATALOGO_VIGENTE).get();
+      if (snap.exists && Array.isArray(snap.data().planes)) {
+        catalogo = { ...snap.data(), origen: 'firestore' };
+      }
+    } catch (error) {
+      logger.error(context, 'Error leyendo catálogo de Firestore, se usa planes.json', error);
+    }
+  }
+
+  catalogoCache = normalizarCatalogo(catalogo || leerCatalogoLocal());
+  catalogoCargadoEn = Date.now();
+  logger.info(context, 'Catálogo cargado', { version: catalogoCache.version, origen: catalogoCache.origen });
+  return catalogoCache;
+}
+
+// Las fechas pueden venir como texto ISO (planes.json) o como Timestamp (Firestore)
+function aFecha(valor) {
+  if (!valor) return null;
+  return typeof valor.toDate === 'function' ? valor.toDate() : new Date(valor);
+}
+
+/**
+ * Indica si un plan puede venderse en la fecha dada (activo y dentro de su ventana de vigencia)
+ */
+export function planDisponible(plan, fecha = new Date()) {
+  if (!plan || plan.activo === false) return false;
+  const desde = aFecha(plan.vigenteDesde);
+  const hasta = aFecha(plan.vigenteHasta);
+  if (desde && desde > fecha) return false;
+  if (hasta && hasta <= fecha) return false;
+  return true;
+}
+
+/**
+ * Devuelve un plan del catálogo con la versión del catálogo.
+ * Con `soloDisponibles` descarta los planes inactivos o fuera de vigencia;
+ * sin él, sirve para validar pagos ya cobrados de un plan que se retiró después.
+ */
+export async function obtenerPlan(planId, { soloDisponibles = false, fecha = new Date() } = {}) {
+  const catalogo = await cargarCatalogo();
+  const plan = catalogo.planes[planId];
+  if (!plan) return null;
+  if (soloDisponibles && !planDisponible(plan, fecha)) return null;
+  return { ...plan, catalogoVersion: catalogo.version };
+}
+
+/**
+ * Planes a la venta con sus datos de presentación (respuesta de GET /api/plans)
+ */
+export async function listarPlanesPublicos({ grupo = null, fecha = new Date() } = {}) {
+  const catalogo = await cargarCatalogo();
+  const planes = Object.values(catalogo.planes)
+    .filter(plan => planDisponible(plan, fecha))
+    .filter(plan => !grupo || plan.display?.grupo === grupo)
+    .sort((a, b) => (a.display?.orden ?? 0) - (b.display?.orden ?? 0))
+    .map(plan => ({
+      id: plan.id,
+      tipo: plan.tipo,
+      precio: plan.precio,
+      moneda: plan.moneda || 'PEN',
+      creditos: plan.creditos ?? null,
+      bonus: plan.bonus ?? null,
+      dias: plan.dias ?? null,
+      umbral: plan.umbral ?? null,
+      descripcion: plan.descripcion,
+      vigenteHasta: aFecha(plan.vigenteHasta),
+      display: plan.display || {}
+    }));
+
+  return { version: catalogo.version, planes };
+}
@@ -0,0 +1,99 @@
+import admin from "firebase-admin";
+import { db } from './negocios.js';
+import { TIPOS_COMPROBANTE } from './pdfGenerator.js';
+
+// ================================================================
+// 🧾 NUMERACIÓN CORRELATIVA DE COMPROBANTES (SUNAT)
+// ================================================================
+
+// series_comprobantes/{SERIE}: { serie, tipo, ultimoCorrelativo, actualizadoEn }
+export const COLECCION_SERIES = "series_comprobantes";
+
+// Prefijos válidos de RUC: 10 persona natural, 15/17 no domiciliados, 20 persona jurídica
+const PREFIJOS_RUC = ['10', '15', '17', '20'];
+const PESOS_RUC = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Valida un RUC peruano (11 dígitos, prefijo y dígito verificador módulo 11)
+ */
+export function validarRuc(ruc) {
+  const limpio = String(ruc || '').trim();
+  if (!/^\d{11}$/.test(limpio) || !PREFIJOS_RUC.includes(limpio.slice(0, 2))) return false;
+
+  const suma = PESOS_RUC.reduce((acc, peso, i) => acc + peso * Number(limpio[i]), 0);
+  const digito = (11 - (suma % 11)) % 10;
+  return digito === Number(limpio[10]);
+}
+
+/**
+ * Normaliza los datos de facturación enviados en el checkout.
+ * Devuelve { datos } o { error } con un mensaje para el usuario.
+ */
+export function normalizarDatosFactura({ ruc, razonSocial, direccion } = {}) {
+  const datos = {
+    ruc: String(ruc || '').trim(),
+    razonSocial: String(razonSocial || '').trim().replace(/\s+/g, ' ').slice(0, 200),
+    direccion: String(direccion || '').trim().replace(/\s+/g, ' ').slice(0, 250)
+  };
+
+  if (!validarRuc(datos.ruc)) return { error: 'El RUC no es válido' };
+  if (datos.razonSocial.length < 3) return { error: 'La razón social es obligatoria' };
+  if (datos.direccion.length < 5) return { error: 'La dirección fiscal es obligatoria' };
+  return { datos };
+}
+
+/**
+ * Tipo de nota de crédito que corresponde al comprobante original (BC01 para boletas, FC01 para facturas)
+ */
+export function tipoNotaCredito(pago) {
+  return pago.comprobante?.tipo === 'factura' ? 'nota_credito_factura' : 'nota_credito';
+}
+
+export function formatearNumero(serie, correlativo) {
+  return `${serie}-${String(correlativo).padStart(8, '0')}`;
+}
+
+export function refSerie(tipo) {
+  const comprobante = TIPOS_COMPROBANTE[tipo];
+  if (!comprobante) throw new Error(`Tipo de comprobante ${tipo} no soportado`);
+  return db.collection(COLECCION_SERIES).doc(comprobante.serie);
+}
+
+/**
+ * Asigna el siguiente correlativo de la serie dentro de la transacción que aprueba
+ * (o revierte) el pago: si la transacción falla, el número no se consume y la serie
+ * queda sin huecos. `serieSnap` debe leerse con t.get(refSerie(tipo)) antes de
+ * cualquier escritura. Guarda el comprobante en `campo` del documento de pago.
+ */
+export function asignarCorrelativo(t, pagoRef, serieSnap, tipo, campo = 'comprobante') {
+  const { codigo, serie } = TIPOS_COMPROBANTE[tipo];
+  const correlativo = (serieSnap.exists ? serieSnap.data().ultimoCorrelativo || 0 : 0) + 1;
+
+  t.set(serieSnap.ref, {
+    serie,
+    tipo,
+    ultimoCorrelativo: correlativo,
+    actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  const comprobante = {
+    tipo,
+    codigoTipo: codigo,
+    serie,
+    correlativo,
+    numero: formatearNumero(serie, correlativo),
+    emitidoEn: new Date()
+  };
+  t.update(pagoRef, { [campo]: comprobante });
+
+  return comprobante;
+}
+
+/**
+ * Número del comprobante de un pago para citarlo (p. ej. en una nota de crédito).
+ * Los pagos anteriores a la numeración correlativa imprimían los 8 últimos dígitos del ID.
+ */
+export function numeroComprobantePago(pago, paymentId) {
+  if (pago.comprobante?.numero) return pago.comprobante.numero;
+  return formatearNumero(TIPOS_COMPROBANTE.boleta.serie, String(paymentId).slice(-8));
+}
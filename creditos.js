@@ -0,0 +1,357 @@
+import admin from "firebase-admin";
+import { db } from './negocios.js';
+import { logger } from './seguridad.js';
+import { planIlimitadoVencido, aplicarVencimientoPlan } from './suscripciones.js';
+
+// ================================================================
+// 📒 LIBRO DE MOVIMIENTOS DE CRÉDITOS (LEDGER)
+// ================================================================
+
+export const COLECCION_MOVIMIENTOS = "creditos_movimientos";
+
+// Ventana en la que un servicio interno puede devolver un consumo reversible que no llegó a prestarse
+export const VENTANA_REVERSO_MS = 15 * 60 * 1000;
+
+/**
+ * Tarifas de consumo definidas en el servidor.
+ * El cliente solo indica el motivo; el monto nunca se toma del navegador,
+ * salvo para servicios internos autenticados (consulta_api).
+ */
+export const TARIFAS_CONSUMO = {
+  favorito: { monto: 3, reversible: true, descripcion: "Añadir película a favoritos" },
+  reproduccion_pelicula: { monto: 11, montoFlyio: 20, reversible: false, descripcion: "Reproducción de película" },
+  consulta_api: { montoMaximo: 50, soloServicio: true, reversible: true, descripcion: "Consulta a la API" }
+};
+
+/**
+ * Construye el ID del documento del movimiento a partir de la clave de idempotencia.
+ * Se prefija con el uid para que dos usuarios no puedan colisionar entre sí.
+ */
+export function construirIdMovimiento(uid, clave) {
+  const limpia = String(clave).replace(/[^\w.-]/g, '_').slice(0, 200);
+  return `${uid}_${limpia}`;
+}
+
+/**
+ * Calcula el costo de un consumo según el motivo
+ */
+export function calcularCostoConsumo(motivo, { recurso, monto } = {}, esServicio = false) {
+  const tarifa = TARIFAS_CONSUMO[motivo];
+  if (!tarifa) return null;
+  if (tarifa.soloServicio && !esServicio) return null;
+
+  if (motivo === 'reproduccion_pelicula') {
+    if (recurso && (recurso.includes('peliprex-31wrsa.fly.dev') || recurso.includes('fly.dev'))) {
+      return tarifa.montoFlyio;
+    }
+    return tarifa.monto;
+  }
+
+  if (tarifa.montoMaximo) {
+    const montoNum = parseInt(monto, 10);
+    if (!Number.isInteger(montoNum) || montoNum <= 0 || montoNum > tarifa.montoMaximo) return null;
+    return montoNum;
+  }
+
+  return tarifa.monto;
+}
+
+/**
+ * Registra un movimiento dentro de una transacción ya abierta.
+ * Es la única vía autorizada para modificar usuarios.creditos: escribe la
+ * entrada (append-only, falla si la clave ya existe) y el nuevo saldo.
+ * Todas las lecturas de la transacción deben hacerse antes de llamar a esta función.
+ */
+export function registrarMovimiento(t, userRef, { uid, saldoAnterior, delta, motivo, idMovimiento, referencia = null, origen, metadata = {} }) {
+  const saldoPosterior = saldoAnterior + delta;
+  if (saldoPosterior < 0) {
+    throw new Error(`Saldo insuficiente para el movimiento ${idMovimiento}`);
+  }
+
+  const movimientoRef = db.collection(COLECCION_MOVIMIENTOS).doc(idMovimiento);
+  t.create(movimientoRef, {
+    uid,
+    tipo: delta >= 0 ? 'credito' : 'debito',
+    motivo,
+    monto: Math.abs(delta),
+    saldoAnterior,
+    saldoPosterior,
+    idempotencyKey: idMovimiento,
+    referencia,
+    origen,
+    metadata,
+    fecha: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  t.update(userRef, {
+    creditos: saldoPosterior,
+    ultimoMovimiento: idMovimiento
+  });
+
+  return { saldoPosterior, idMovimiento };
+}
+
+// Qué hacer cuando se agota la cuota de consultas de un plan ilimitado:
+// 'creditos' cobra el consumo como si no hubiera plan; 'rechazar' lo deniega hasta renovar
+export const POLITICA_CUOTA_AGOTADA = process.env.PLAN_QUOTA_POLICY === 'rechazar' ? 'rechazar' : 'creditos';
+
+// Solo las consultas gastan la cuota del plan; favoritos y reproducciones quedan cubiertos sin límite
+export const MOTIVOS_CUOTA_PLAN = ['consulta_api'];
+
+/**
+ * Cuota de consultas del plan ilimitado vigente. Sin umbralConsultas (planes
+ * activados antes de la cuota o por un administrador) el plan no tiene límite.
+ */
+export function cuotaConsultas(userData) {
+  const umbral = Number.isInteger(userData.umbralConsultas) ? userData.umbralConsultas : null;
+  const usadas = userData.consultasUsadas || 0;
+  return { umbral, usadas, restantes: umbral === null ? null : Math.max(0, umbral - usadas) };
+}
+
+function tienePlanIlimitadoActivo(userData) {
+  return userData.tipoPlan === 'ilimitado' &&
+    userData.planIlimitadoHasta &&
+    userData.planIlimitadoHasta.toDate() > new Date();
+}
+
+/**
+ * Descuenta créditos de forma autoritativa (reproducción, favoritos, API).
+ * Reintentar con la misma clave devuelve el movimiento original sin volver a cobrar.
+ */
+export async function consumirCreditos(uid, { motivo, monto, idempotencyKey, referencia = null, origen = 'web' }) {
+  const context = 'CONSUMIR_CREDITOS';
+
+  if (!db) {
+    logger.error(context, 'Base de datos no disponible');
+    return { status: 'error', message: 'Database not available' };
+  }
+
+  const idMovimiento = construirIdMovimiento(uid, idempotencyKey);
+
+  try {
+    const result = await db.runTransaction(async (t) => {
+      const userRef = db.collection("usuarios").doc(uid);
+      const movimientoRef = db.collection(COLECCION_MOVIMIENTOS).doc(idMovimiento);
+      const [userSnap, movimientoSnap] = await Promise.all([t.get(userRef), t.get(movimientoRef)]);
+
+      if (movimientoSnap.exists) {
+        const previo = movimientoSnap.data();
+        const cobrado = previo.tipo === 'debito';
+        return { status: 'duplicado', cobrado, monto: previo.monto, saldo: cobrado ? previo.saldoPosterior : (userSnap.data()?.creditos || 0), movimientoId: idMovimiento };
+      }
+
+      if (!userSnap.exists) {
+        return { status: 'not_found', message: 'Usuario no encontrado' };
+      }
+
+      const userData = userSnap.data();
+      const saldoActual = userData.creditos || 0;
+
+      // Comprobación perezosa: un plan ilimitado que ya terminó se vence aquí mismo
+      if (planIlimitadoVencido(userData)) {
+        aplicarVencimientoPlan(t, userRef, userData, { coleccion: 'usuarios', origen: 'consumo' });
+      }
+
+      if (tienePlanIlimitadoActivo(userData)) {
+        const cuota = cuotaConsultas(userData);
+        const cuentaParaCuota = MOTIVOS_CUOTA_PLAN.includes(motivo);
+
+        if (!cuentaParaCuota || cuota.restantes === null || cuota.restantes > 0) {
+          const consumidas = cuentaParaCuota ? 1 : 0;
+          // El consumo queda en el ledger sin monto: hace idempotente el reintento y, si es consulta, cuenta para la cuota
+          t.create(movimientoRef, {
+            uid,
+            tipo: 'consumo_plan',
+            motivo,
+            monto: 0,
+            cuentaParaCuota,
+            consultasUsadas: cuota.usadas + consumidas,
+            umbralConsultas: cuota.umbral,
+            idempotencyKey: idMovimiento,
+            referencia,
+            origen,
+            fecha: admin.firestore.FieldValue.serverTimestamp()
+          });
+          t.update(userRef, {
+            ...(cuentaParaCuota && { consultasUsadas: admin.firestore.FieldValue.increment(1) }),
+            ultimoMovimiento: idMovimiento
+          });
+
+          return {
+            status: 'ilimitado',
+            cobrado: false,
+            monto: 0,
+            saldo: saldoActual,
+            consultasRestantes: cuota.restantes === null ? null : cuota.restantes - consumidas,
+            movimientoId: idMovimiento
+          };
+        }
+
+        if (POLITICA_CUOTA_AGOTADA === 'rechazar') {
+          return { status: 'cuota_agotada', cobrado: false, saldo: saldoActual, umbralConsultas: cuota.umbral, message: 'Se agotaron las consultas de tu plan' };
+        }
+        // Cuota agotada con política 'creditos': el consumo se cobra en créditos
+      }
+
+      if (saldoActual < monto) {
+        return { status: 'insuficiente', cobrado: false, saldo: saldoActual, requerido: monto };
+      }
+
+      const { saldoPosterior } = registrarMovimiento(t, userRef, {
+        uid,
+        saldoAnterior: saldoActual,
+        delta: -monto,
+        motivo,
+        idMovimiento,
+        referencia,
+        origen
+      });
+
+      return { status: 'cobrado', cobrado: true, monto, saldo: saldoPosterior, movimientoId: idMovimiento };
+    });
+
+    logger.info(context, 'Consumo procesado', { uid, motivo, status: result.status, monto: result.monto });
+    return result;
+
+  } catch (error) {
+    logger.error(context, 'Error consumiendo créditos', error, { uid, motivo, idMovimiento });
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * Devuelve un consumo reversible con un movimiento compensatorio.
+ * El movimiento original nunca se borra ni se modifica.
+ * Solo los servicios internos pueden revertir: si el usuario pudiera hacerlo,
+ * bastaría con cobrar un favorito y revertirlo para no pagarlo nunca.
+ */
+export async function revertirConsumo(uid, idempotencyKey, origen = 'web') {
+  const context = 'REVERTIR_CONSUMO';
+
+  if (origen !== 'servicio') {
+    logger.warn(context, 'Reverso solicitado sin credenciales de servicio', { uid, origen });
+    return { status: 'prohibido', message: 'Solo un servicio interno puede revertir consumos' };
+  }
+
+  if (!db) {
+    logger.error(context, 'Base de datos no disponible');
+    return { status: 'error', message: 'Database not available' };
+  }
+
+  const idOriginal = construirIdMovimiento(uid, idempotencyKey);
+  const idReverso = `reverso_${idOriginal}`;
+
+  try {
+    const result = await db.runTransaction(async (t) => {
+      const userRef = db.collection("usuarios").doc(uid);
+      const originalRef = db.collection(COLECCION_MOVIMIENTOS).doc(idOriginal);
+      const reversoRef = db.collection(COLECCION_MOVIMIENTOS).doc(idReverso);
+      const [userSnap, originalSnap, reversoSnap] = await Promise.all([
+        t.get(userRef), t.get(originalRef), t.get(reversoRef)
+      ]);
+
+      if (reversoSnap.exists) {
+        return { status: 'duplicado', saldo: reversoSnap.data().saldoPosterior };
+      }
+
+      if (!originalSnap.exists || !userSnap.exists) {
+        return { status: 'not_found', message: 'Movimiento no encontrado' };
+      }
+
+      const original = originalSnap.data();
+      const tarifa = TARIFAS_CONSUMO[original.motivo];
+
+      const esConsumoPlan = original.tipo === 'consumo_plan';
+      if (original.uid !== uid || !(original.tipo === 'debito' || esConsumoPlan) || !tarifa?.reversible) {
+        return { status: 'rechazado', message: 'El movimiento no admite reverso' };
+      }
+
+      const fechaOriginal = original.fecha?.toDate();
+      if (fechaOriginal && Date.now() - fechaOriginal.getTime() > VENTANA_REVERSO_MS) {
+        return { status: 'rechazado', message: 'Ventana de reverso expirada' };
+      }
+
+      // Un consumo cubierto por el plan no movió saldo: si era una consulta, vuelve a la cuota
+      // (los movimientos sin `cuentaParaCuota` son anteriores al campo y siempre contaron)
+      if (esConsumoPlan) {
+        const saldo = userSnap.data().creditos || 0;
+        t.create(reversoRef, {
+          uid,
+          tipo: 'reverso_consumo_plan',
+          motivo: 'reverso_consumo',
+          monto: 0,
+          saldoPosterior: saldo,
+          idempotencyKey: idReverso,
+          referencia: idOriginal,
+          origen,
+          fecha: admin.firestore.FieldValue.serverTimestamp()
+        });
+        t.update(userRef, {
+          ...(original.cuentaParaCuota !== false && { consultasUsadas: Math.max(0, (userSnap.data().consultasUsadas || 0) - 1) }),
+          ultimoMovimiento: idReverso
+        });
+        return { status: 'revertido', monto: 0, saldo, movimientoId: idReverso };
+      }
+
+      const { saldoPosterior } = registrarMovimiento(t, userRef, {
+        uid,
+        saldoAnterior: userSnap.data().creditos || 0,
+        delta: original.monto,
+        motivo: 'reverso_consumo',
+        idMovimiento: idReverso,
+        referencia: idOriginal,
+        origen
+      });
+
+      return { status: 'revertido', monto: original.monto, saldo: saldoPosterior, movimientoId: idReverso };
+    });
+
+    logger.info(context, 'Reverso procesado', { uid, idOriginal, status: result.status });
+    return result;
+
+  } catch (error) {
+    logger.error(context, 'Error revirtiendo consumo', error, { uid, idOriginal });
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * Otorga los créditos de bienvenida una sola vez por usuario
+ */
+export async function otorgarCreditosBienvenida(uid, email, creditos = 11) {
+  const context = 'CREDITOS_BIENVENIDA';
+
+  if (!db) {
+    logger.error(context, 'Base de datos no disponible');
+    return { status: 'error', message: 'Database not available' };
+  }
+
+  try {
+    return await db.runTransaction(async (t) => {
+      const userRef = db.collection("usuarios").doc(uid);
+      const userSnap = await t.get(userRef);
+
+      if (userSnap.exists && userSnap.data().creditos !== undefined) {
+        return { status: 'already_processed' };
+      }
+
+      // El documento debe existir antes de que registrarMovimiento lo actualice
+      t.set(userRef, { email, tipoPlan: "creditos" }, { merge: true });
+
+      const { saldoPosterior } = registrarMovimiento(t, userRef, {
+        uid,
+        saldoAnterior: 0,
+        delta: creditos,
+        motivo: 'bono_bienvenida',
+        idMovimiento: `bienvenida_${uid}`,
+        origen: 'registro'
+      });
+
+      logger.info(context, 'Créditos de bienvenida otorgados', { uid, creditos });
+      return { status: 'success', saldo: saldoPosterior };
+    });
+  } catch (error) {
+    logger.error(context, 'Error otorgando créditos de bienvenida', error, { uid });
+    return { status: 'error', message: error.message };
+  }
+}
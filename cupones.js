@@ -0,0 +1,223 @@
+import admin from "firebase-admin";
+import { db } from './negocios.js';
+import { obtenerPlan } from './catalogoPlanes.js';
+import { logger } from './seguridad.js';
+
+// ================================================================
+// 🏷️ CUPONES DE DESCUENTO Y CÓDIGOS PROMOCIONALES
+// ================================================================
+
+// cupones/{CODIGO}: { tipo: 'porcentaje'|'monto_fijo'|'creditos', valor, creditosBonus, planes,
+//   activo, vigenteDesde, vigenteHasta, usosMaximos, usosPorUsuario, usosActuales }
+export const COLECCION_CUPONES = "cupones";
+export const COLECCION_CANJES = "cupones_canjes";
+
+// Mercado Pago no cobra montos menores a S/ 1
+export const MONTO_MINIMO_COBRO = 1;
+
+export function normalizarCodigo(codigo) {
+  return String(codigo || '').trim().toUpperCase().replace(/[^A-Z0-9_-]/g, '');
+}
+
+function aFecha(valor) {
+  if (!valor) return null;
+  return typeof valor.toDate === 'function' ? valor.toDate() : new Date(valor);
+}
+
+/**
+ * Calcula el monto a cobrar y los créditos extra de un cupón sobre un plan.
+ * Los créditos bonus solo se suman a paquetes de créditos.
+ */
+export function calcularDescuento(cupon, plan) {
+  const precioLista = plan.precio;
+  let descuento = 0;
+
+  if (cupon.tipo === 'porcentaje') {
+    descuento = precioLista * Math.min(Math.max(Number(cupon.valor) || 0, 0), 100) / 100;
+  } else if (cupon.tipo === 'monto_fijo') {
+    descuento = Math.min(Math.max(Number(cupon.valor) || 0, 0), precioLista);
+  }
+
+  descuento = Math.round(descuento * 100) / 100;
+  const montoFinal = Math.round((precioLista - descuento) * 100) / 100;
+  const creditosBonus = plan.tipo === 'creditos' ? (parseInt(cupon.creditosBonus, 10) || 0) : 0;
+
+  return { precioLista, descuento, montoFinal, creditosBonus };
+}
+
+/**
+ * Reglas que no dependen del usuario: activo, vigencia, planes permitidos y que algo aporte
+ */
+function motivoNoAplica(cupon, plan, calculo, fecha = new Date()) {
+  if (cupon.activo === false) return 'inactivo';
+  const desde = aFecha(cupon.vigenteDesde);
+  const hasta = aFecha(cupon.vigenteHasta);
+  if (desde && desde > fecha) return 'no_vigente';
+  if (hasta && hasta <= fecha) return 'expirado';
+  if (Array.isArray(cupon.planes) && cupon.planes.length && !cupon.planes.includes(plan.id)) return 'plan_no_permitido';
+  if (calculo.descuento === 0 && calculo.creditosBonus === 0) return 'sin_beneficio';
+  if (calculo.montoFinal < MONTO_MINIMO_COBRO) return 'monto_minimo';
+  return null;
+}
+
+const MENSAJES_CUPON = {
+  no_existe: 'El cupón no existe',
+  inactivo: 'El cupón no está activo',
+  no_vigente: 'El cupón aún no está vigente',
+  expirado: 'El cupón ha expirado',
+  plan_no_permitido: 'El cupón no aplica a este plan',
+  sin_beneficio: 'El cupón no aplica a este plan',
+  monto_minimo: 'El descuento supera el monto mínimo de cobro',
+  agotado: 'El cupón alcanzó su límite de usos',
+  limite_usuario: 'Ya usaste este cupón el máximo de veces permitido',
+  plan_invalido: 'Plan no válido'
+};
+
+function invalido(motivo) {
+  return { status: 'invalido', motivo, message: MENSAJES_CUPON[motivo] };
+}
+
+/**
+ * Valida un cupón para un usuario y un plan antes de cobrar
+ * (incluye límites globales y por usuario)
+ */
+export async function validarCupon(codigo, { uid, planId }) {
+  const context = 'VALIDAR_CUPON';
+  const codigoNormalizado = normalizarCodigo(codigo);
+
+  const plan = await obtenerPlan(planId, { soloDisponibles: true });
+  if (!plan) return invalido('plan_invalido');
+  if (!codigoNormalizado || !db) return invalido('no_existe');
+
+  const cuponSnap = await db.collection(COLECCION_CUPONES).doc(codigoNormalizado).get();
+  if (!cuponSnap.exists) return invalido('no_existe');
+
+  const cupon = cuponSnap.data();
+  const calculo = calcularDescuento(cupon, plan);
+  const motivo = motivoNoAplica(cupon, plan, calculo);
+  if (motivo) return invalido(motivo);
+
+  if (cupon.usosMaximos && (cupon.usosActuales || 0) >= cupon.usosMaximos) return invalido('agotado');
+
+  if (cupon.usosPorUsuario) {
+    const usosUsuario = await db.collection(COLECCION_CANJES)
+      .where('codigo', '==', codigoNormalizado)
+      .where('uid', '==', uid)
+      .count()
+      .get();
+    if (usosUsuario.data().count >= cupon.usosPorUsuario) return invalido('limite_usuario');
+  }
+
+  logger.info(context, 'Cupón válido', { codigo: codigoNormalizado, uid, planId, montoFinal: calculo.montoFinal });
+  return { status: 'valido', codigo: codigoNormalizado, planId, ...calculo };
+}
+
+/**
+ * Recalcula el cupón de un pago ya cobrado para validar el monto al otorgar el beneficio.
+ * No revisa límites ni vigencia: se comprobaron antes del cobro y el dinero ya se recibió.
+ * Si el cupón se borró después del cobro, el canje se reconstruye con `montoCobrado`
+ * (sin créditos bonus) para que el pago cobrado no se quede sin otorgar.
+ */
+export async function resolverCuponDePago(codigo, plan, { montoCobrado = null } = {}) {
+  const codigoNormalizado = normalizarCodigo(codigo);
+  if (!codigoNormalizado || !db) return null;
+
+  const cuponSnap = await db.collection(COLECCION_CUPONES).doc(codigoNormalizado).get();
+  if (!cuponSnap.exists) {
+    const monto = Number(montoCobrado);
+    if (!Number.isFinite(monto) || monto < MONTO_MINIMO_COBRO || monto > plan.precio) return null;
+    logger.warn('CUPON_PAGO', 'Cupón eliminado después del cobro; se usa el monto cobrado', { codigo: codigoNormalizado, planId: plan.id, monto });
+    const descuento = Math.round((plan.precio - monto) * 100) / 100;
+    return { codigo: codigoNormalizado, precioLista: plan.precio, descuento, montoFinal: monto, creditosBonus: 0, cuponEliminado: true };
+  }
+
+  const cupon = cuponSnap.data();
+  if (Array.isArray(cupon.planes) && cupon.planes.length && !cupon.planes.includes(plan.id)) return null;
+
+  return { codigo: codigoNormalizado, ...calcularDescuento(cupon, plan) };
+}
+
+/**
+ * Lecturas del cupón para la transacción que otorga el beneficio: el documento del cupón
+ * y los canjes previos del usuario. Deben hacerse antes de cualquier escritura.
+ */
+export async function leerCuponEnTransaccion(t, codigo, uid) {
+  const cuponRef = db.collection(COLECCION_CUPONES).doc(codigo);
+  const [cuponSnap, usosUsuario] = await Promise.all([
+    t.get(cuponRef),
+    t.get(db.collection(COLECCION_CANJES).where('codigo', '==', codigo).where('uid', '==', uid).count())
+  ]);
+  return { cuponRef, cupon: cuponSnap.exists ? cuponSnap.data() : null, usosUsuario: usosUsuario.data().count };
+}
+
+/**
+ * Registra el canje dentro de la transacción que otorga el beneficio:
+ * documento de canje (uno por pago), contador del cupón y resumen en el pago.
+ * Los límites se vuelven a revisar aquí (pagos simultáneos pueden pasarlos): el descuento ya se
+ * cobró y se respeta, pero un canje fuera de límite no suma créditos bonus y queda marcado para soporte.
+ * `lectura` es el resultado de leerCuponEnTransaccion; no se escribe nada en un cupón borrado.
+ * Devuelve los créditos bonus que corresponde otorgar.
+ */
+export function registrarCanjeCupon(t, pagoRef, canje, { uid, paymentId, origen, lectura }) {
+  const { cuponRef, cupon, usosUsuario } = lectura;
+  let fueraDeLimite = null;
+  if (!cupon) fueraDeLimite = 'cupon_eliminado';
+  else if (cupon.usosMaximos && (cupon.usosActuales || 0) >= cupon.usosMaximos) fueraDeLimite = 'agotado';
+  else if (cupon.usosPorUsuario && usosUsuario >= cupon.usosPorUsuario) fueraDeLimite = 'limite_usuario';
+
+  const canjeRef = db.collection(COLECCION_CANJES).doc(`${canje.codigo}_${paymentId}`);
+  const resumen = {
+    codigo: canje.codigo,
+    precioLista: canje.precioLista,
+    descuento: canje.descuento,
+    montoCobrado: canje.montoFinal,
+    creditosBonus: fueraDeLimite ? 0 : canje.creditosBonus,
+    fueraDeLimite
+  };
+
+  t.set(canjeRef, {
+    ...resumen,
+    uid,
+    paymentId,
+    origen,
+    fecha: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  if (cupon) {
+    t.update(cuponRef, { usosActuales: admin.firestore.FieldValue.increment(1) });
+  }
+  t.update(pagoRef, { cupon: resumen });
+
+  if (fueraDeLimite) {
+    logger.warn('CANJE_CUPON', 'Canje fuera de límite en un pago ya cobrado', { codigo: canje.codigo, paymentId, uid, motivo: fueraDeLimite });
+  }
+  return { creditosBonus: resumen.creditosBonus, fueraDeLimite };
+}
+
+/**
+ * Lecturas para liberar el canje de un pago revertido (antes de cualquier escritura)
+ */
+export async function leerCanjeDePago(t, codigo, paymentId) {
+  const canjeRef = db.collection(COLECCION_CANJES).doc(`${codigo}_${paymentId}`);
+  const cuponRef = db.collection(COLECCION_CUPONES).doc(codigo);
+  const [canjeSnap, cuponSnap] = await Promise.all([t.get(canjeRef), t.get(cuponRef)]);
+  return {
+    canjeRef,
+    cuponRef,
+    canje: canjeSnap.exists ? canjeSnap.data() : null,
+    cupon: cuponSnap.exists ? cuponSnap.data() : null
+  };
+}
+
+/**
+ * Libera el canje de un pago revertido: el documento de canje deja de contar para
+ * `usosPorUsuario` y se descuenta el uso del cupón si ese canje lo había sumado
+ * (un cupón borrado antes del otorgamiento no llegó a contarlo).
+ */
+export function liberarCanjeCupon(t, { canjeRef, cuponRef, canje, cupon }) {
+  if (!canje) return false;
+  t.delete(canjeRef);
+  if (cupon && canje.fueraDeLimite !== 'cupon_eliminado' && (cupon.usosActuales || 0) > 0) {
+    t.update(cuponRef, { usosActuales: admin.firestore.FieldValue.increment(-1) });
+  }
+  return true;
+}
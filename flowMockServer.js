@@ -0,0 +1,139 @@
+import express from "express";
+import { fileURLToPath } from "url";
+import { logger, verificarFirmaFlow, firmarParametrosFlow } from './seguridad.js';
+
+// ================================================================
+// 🧪 SERVIDOR SIMULADO DE FLOW (SANDBOX LOCAL)
+// ================================================================
+// Imita payment/create, payment/getStatus y payment/getStatusByCommerceId con la
+// misma firma que la API real. Se usa con FLOW_API_URL=http://localhost:<puerto>/api.
+//   node flowMockServer.js
+//   POST /simulador/pagos/:token { status: 2 } marca la orden como pagada (3 rechazada, 4 anulada)
+//   y envía la confirmación firmada (token y `s`) a su urlConfirmation.
+
+/**
+ * Crea la app del servidor simulado. Las órdenes viven en memoria.
+ */
+export function crearServidorFlowSimulado({ apiKey = 'flow-mock-key', secretKey = 'flow-mock-secret', baseUrl = 'http://localhost:8090' } = {}) {
+  const context = 'FLOW_SIMULADO';
+  const app = express();
+  const ordenes = new Map();
+  let siguienteFlowOrder = 1000;
+
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  // Misma validación que Flow: apiKey conocida y `s` correcto sobre el resto de parámetros
+  function autenticar(req, res, next) {
+    const params = req.method === 'GET' ? req.query : req.body;
+    if (params.apiKey !== apiKey) return res.status(401).json({ code: 108, message: 'apiKey not found' });
+    if (!verificarFirmaFlow(params, secretKey).valido) return res.status(401).json({ code: 109, message: 'Invalid signature' });
+    next();
+  }
+
+  function estadoOrden(orden) {
+    return {
+      flowOrder: orden.flowOrder,
+      commerceOrder: orden.commerceOrder,
+      requestDate: orden.requestDate,
+      status: orden.status,
+      subject: orden.subject,
+      currency: orden.currency,
+      amount: orden.amount,
+      payer: orden.email,
+      optional: orden.optional ? JSON.parse(orden.optional) : null,
+      paymentData: orden.status === 2
+        ? { date: orden.paidDate, media: 'Simulado', amount: orden.amount, currency: orden.currency, fee: 0, balance: orden.amount }
+        : null
+    };
+  }
+
+  app.post('/api/payment/create', autenticar, (req, res) => {
+    const { commerceOrder, subject, currency, amount, email, urlConfirmation, urlReturn, optional } = req.body;
+    if (!commerceOrder || !subject || !amount || !email || !urlConfirmation || !urlReturn) {
+      return res.status(400).json({ code: 1605, message: 'Missing required parameters' });
+    }
+    if ([...ordenes.values()].some(orden => orden.commerceOrder === commerceOrder)) {
+      return res.status(400).json({ code: 1620, message: 'commerceOrder already exists' });
+    }
+
+    const token = `mock${Date.now()}${Math.random().toString(36).slice(2, 10)}`;
+    const orden = {
+      token,
+      flowOrder: siguienteFlowOrder++,
+      commerceOrder,
+      subject,
+      currency: currency || 'CLP',
+      amount: Number(amount),
+      email,
+      urlConfirmation,
+      urlReturn,
+      optional: optional || null,
+      status: 1,
+      requestDate: new Date().toISOString()
+    };
+    ordenes.set(token, orden);
+
+    logger.info(context, 'Orden creada', { commerceOrder, flowOrder: orden.flowOrder });
+    res.json({ url: `${baseUrl}/app/web/pay.php`, token, flowOrder: orden.flowOrder });
+  });
+
+  app.get('/api/payment/getStatus', autenticar, (req, res) => {
+    const orden = ordenes.get(req.query.token);
+    if (!orden) return res.status(400).json({ code: 105, message: 'Token not found' });
+    res.json(estadoOrden(orden));
+  });
+
+  app.get('/api/payment/getStatusByCommerceId', autenticar, (req, res) => {
+    const orden = [...ordenes.values()].find(o => o.commerceOrder === req.query.commerceId);
+    if (!orden) return res.status(400).json({ code: 105, message: 'Order not found' });
+    res.json(estadoOrden(orden));
+  });
+
+  // Página de pago: en el simulado solo informa el token
+  app.get('/app/web/pay.php', (req, res) => {
+    const orden = ordenes.get(req.query.token);
+    if (!orden) return res.status(404).send('Orden no encontrada');
+    res.send(`Orden ${orden.commerceOrder} por ${orden.amount} ${orden.currency}. Usa POST /simulador/pagos/${orden.token}.`);
+  });
+
+  // Cambia el estado de una orden y notifica la confirmación (como el POST con token de Flow)
+  app.post('/simulador/pagos/:token', async (req, res) => {
+    const orden = ordenes.get(req.params.token);
+    if (!orden) return res.status(404).json({ success: false, error: 'Orden no encontrada' });
+
+    const status = Number(req.body.status ?? 2);
+    if (![1, 2, 3, 4].includes(status)) return res.status(400).json({ success: false, error: 'status debe ser 1, 2, 3 o 4' });
+    orden.status = status;
+    if (status === 2) orden.paidDate = new Date().toISOString();
+
+    let confirmacion = null;
+    try {
+      const respuesta = await fetch(orden.urlConfirmation, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ token: orden.token, s: firmarParametrosFlow({ token: orden.token }, secretKey) }).toString()
+      });
+      confirmacion = respuesta.status;
+    } catch (error) {
+      logger.warn(context, 'No se pudo enviar la confirmación', { urlConfirmation: orden.urlConfirmation, error: error.message });
+    }
+
+    res.json({ success: true, estado: estadoOrden(orden), confirmacion, urlReturn: `${orden.urlReturn}?token=${orden.token}` });
+  });
+
+  return app;
+}
+
+// Ejecutado directamente: levanta el simulado con las credenciales del entorno
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const puerto = Number(process.env.FLOW_MOCK_PORT) || 8090;
+  const app = crearServidorFlowSimulado({
+    apiKey: process.env.FLOW_API_KEY,
+    secretKey: process.env.FLOW_SECRET_KEY,
+    baseUrl: `http://localhost:${puerto}`
+  });
+  app.listen(puerto, () => {
+    logger.info('FLOW_SIMULADO', `Servidor simulado de Flow en http://localhost:${puerto}/api`);
+  });
+}
@@ -3,7 +3,7 @@ import admin from "firebase-admin";
 import crypto from "crypto";
 import cors from "cors";
 import cookieParser from "cookie-parser";
-import { MercadoPagoConfig, Payment } from "mercadopago";
+import { MercadoPagoConfig } from "mercadopago";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
@@ -25,23 +25,94 @@ import {
   getLocationFromIP,
   RECAPTCHA_SITE_KEY,
   MAX_LOGIN_ATTEMPTS,
-  BLOCK_DURATION_HOURS
+  BLOCK_DURATION_HOURS,
+  SESSION_COOKIE_NAME,
+  SESSION_DURATION_MS,
+  verificarIdToken,
+  crearCookieSesion,
+  autenticarSolicitud,
+  requireAuth,
+  requireAdmin,
+  listarBloqueosActivos,
+  levantarBloqueo,
+  verificarFirmaMercadoPago
 } from './seguridad.js';
 
 import { 
   initFirebase, 
   buildServiceAccountFromEnv, 
   db, 
+  bucket,
   otorgarBeneficio, 
   enviarBienvenida, 
   enviarCorreoSospechoso, 
-  enviarCorreoRechazo,
   enviarCorreoExito,
   enviarCorreoSoporte,
-  PAQUETES_CREDITOS,
-  PLANES_ILIMITADOS
+  registrarEventoWebhook,
+  actualizarEventoWebhook,
+  rutaPdfComprobante,
+  enlaceComprobante,
+  generarUrlFirmada,
+  APP_BASE_URL
 } from './negocios.js';
 
+import { procesarPago, procesarNotificacionPago } from './notificacionesPago.js';
+
+import { registrarProveedor, crearProveedorMercadoPago, crearProveedorFlow, PREFIJO_REFERENCIA_PREFERENCIA } from './proveedoresPago.js';
+
+import { listarPlanesPublicos, obtenerPlan } from './catalogoPlanes.js';
+
+import { validarCupon } from './cupones.js';
+
+import { normalizarDatosFactura } from './comprobantes.js';
+
+import { regenerarComprobante, datosComprobanteDePago, MARGEN_REGENERACION_MS } from './regeneracionComprobantes.js';
+
+import { generateInvoicePDFStream, nombreArchivoPDF } from './pdfGenerator.js';
+
+import { buildInvoiceXML } from './ublGenerator.js';
+
+import { obtenerRegistroVentas, registroVentasCSV, registroVentasPLE } from './registroVentas.js';
+
+import { iniciarTareasSuscripcion, verificarVencimientoCuenta } from './suscripciones.js';
+
+import {
+  registrarVoucher,
+  obtenerVoucherUsuario,
+  listarVouchers,
+  archivoVoucher,
+  aprobarVoucher,
+  rechazarVoucher,
+  datosCuentaManual,
+  TIPOS_ARCHIVO_VOUCHER,
+  TAMANO_MAXIMO_VOUCHER
+} from './pagosManuales.js';
+
+import {
+  sincronizarPagoFlow,
+  obtenerOrdenFlowPorToken,
+  iniciarSondeoFlow,
+  flowConfigurado
+} from './pagosFlow.js';
+
+import {
+  registrarAuditoria,
+  buscarUsuarios,
+  obtenerPagosUsuario,
+  ajustarCreditos,
+  extenderPlan,
+  reenviarCorreoCompra,
+  reembolsarPago
+} from './administracion.js';
+
+import {
+  consumirCreditos,
+  revertirConsumo,
+  calcularCostoConsumo,
+  cuotaConsultas,
+  otorgarCreditosBienvenida
+} from './creditos.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -60,7 +131,7 @@ const allowedOrigins = [
   'https://masitaprexv2.fly.dev'
 ];
 
-app.use(cors({
+const corsMiddleware = cors({
   origin: function(origin, callback) {
     if (!origin) return callback(null, true);
     if (allowedOrigins.indexOf(origin) !== -1) {
@@ -72,7 +143,11 @@ app.use(cors({
   },
   credentials: true,
   optionsSuccessStatus: 200
-}));
+});
+
+// El retorno de Flow es un POST de formulario desde el dominio de Flow (navegación, no fetch)
+const RUTAS_SIN_CORS = ['/api/flow/return'];
+app.use((req, res, next) => (RUTAS_SIN_CORS.includes(req.path) ? next() : corsMiddleware(req, res, next)));
 
 app.use(express.json());
 app.use(cookieParser());
@@ -100,8 +175,17 @@ if (serviceAccount) {
   });
 } else {
   logger.error('FIREBASE', 'No se pudo inicializar Firebase - Service account no disponible');
+  if (process.env.LOGIN_ATTEMPTS_STORE !== 'memory') {
+    logger.error('FIREBASE', 'Sin Firestore para los intentos de login: los logins se rechazarán (LOGIN_ATTEMPTS_STORE=memory solo para desarrollo)');
+  }
 }
 
+// Vencimiento de planes y recordatorios de vencimiento y saldo bajo (cada hora)
+iniciarTareasSuscripcion(resend);
+
+// Órdenes de Flow cuya confirmación no llegó (cada 5 minutos)
+iniciarSondeoFlow(resend);
+
 // ================================================================
 // 💳 CONFIGURACIÓN DE MERCADO PAGO
 // ================================================================
@@ -114,6 +198,14 @@ const mpClient = MERCADOPAGO_ACCESS_TOKEN ? new MercadoPagoConfig({
   options: { timeout: 10000 }
 }) : null;
 
+// Las rutas de cobro y el webhook trabajan con pagos normalizados (proveedoresPago.js)
+const proveedorMP = mpClient
+  ? registrarProveedor(crearProveedorMercadoPago(mpClient, { urlNotificacion: `${HOST_URL}/api/webhook/mercadopago` }))
+  : null;
+const proveedorFlow = flowConfigurado()
+  ? registrarProveedor(crearProveedorFlow({ urlConfirmacion: `${HOST_URL}/api/webhook/flow`, urlRetorno: `${HOST_URL}/api/flow/return` }))
+  : null;
+
 // ================================================================
 // 🛣️ RUTAS DE LA API
 // ================================================================
@@ -122,8 +214,15 @@ const mpClient = MERCADOPAGO_ACCESS_TOKEN ? new MercadoPagoConfig({
 app.post("/api/login-success", async (req, res) => {
   const context = 'LOGIN_SUCCESS_API';
   try {
-    const { email, uid, displayName, isNewUser, idToken, deviceModel } = req.body;
-    if (!email) return res.status(400).json({ success: false, error: 'Email is required' });
+    const { displayName, isNewUser, idToken, deviceModel } = req.body;
+    if (!idToken) return res.status(400).json({ success: false, error: 'idToken is required' });
+
+    // El uid y el email salen del token verificado, nunca del cuerpo de la petición
+    const authUser = await verificarIdToken(idToken);
+    if (!authUser || !authUser.email) {
+      return res.status(401).json({ success: false, error: 'Invalid idToken' });
+    }
+    const { uid, email } = authUser;
 
     try {
       if (db && uid) {
@@ -173,17 +272,13 @@ app.post("/api/login-success", async (req, res) => {
 
       if (db) {
         const userRef = db.collection("usuarios").doc(uid);
-        const userDoc = await userRef.get();
         const updateData = { lastLogin: admin.firestore.FieldValue.serverTimestamp() };
-        if (!userDoc.exists || userDoc.data().creditos === undefined) {
-          updateData.creditos = 11;
-          updateData.tipoPlan = "creditos";
-        }
         if (welcomeResult.success) {
           updateData.welcomeEmailSent = true;
           updateData.welcomeEmailSentAt = admin.firestore.FieldValue.serverTimestamp();
         }
         await userRef.set(updateData, { merge: true });
+        await otorgarCreditosBienvenida(uid, email);
 
         const empresaRef = db.collection("empresas").doc(uid);
         const secureToken = crypto.randomBytes(32).toString('hex');
@@ -202,8 +297,10 @@ app.post("/api/login-success", async (req, res) => {
     }
 
     const cookieOptions = {
-      httpOnly: true, secure: true, sameSite: 'strict', maxAge: 30 * 24 * 60 * 60 * 1000, path: '/'
+      httpOnly: true, secure: true, sameSite: 'strict', maxAge: SESSION_DURATION_MS, path: '/'
     };
+    const sessionCookie = await crearCookieSesion(idToken);
+    if (sessionCookie) res.cookie(SESSION_COOKIE_NAME, sessionCookie, cookieOptions);
     res.cookie('user_email', email, cookieOptions);
     res.cookie('user_uid', uid, cookieOptions);
 
@@ -215,11 +312,12 @@ app.post("/api/login-success", async (req, res) => {
 });
 
 // Endpoint de notificación de verificación
-app.post("/api/notify-verification", async (req, res) => {
+app.post("/api/notify-verification", requireAuth, async (req, res) => {
   const context = 'NOTIFY_VERIFICATION';
   try {
-    const { uid, email, displayName } = req.body;
-    if (!uid || !email) return res.status(400).json({ success: false, error: 'Se requiere uid y email' });
+    const { uid, email } = req.user;
+    const { displayName } = req.body;
+    if (!email) return res.status(400).json({ success: false, error: 'La cuenta no tiene email' });
 
     let waitAttempts = 0;
     while (!db && waitAttempts < 10) {
@@ -241,10 +339,7 @@ app.post("/api/notify-verification", async (req, res) => {
           welcomeEmailSentAt: admin.firestore.FieldValue.serverTimestamp()
         }, { merge: true });
         
-        const userDoc = await db.collection("usuarios").doc(uid).get();
-        if (!userDoc.exists || userDoc.data().creditos === undefined) {
-          await db.collection("usuarios").doc(uid).set({ creditos: 11, tipoPlan: "creditos" }, { merge: true });
-        }
+        await otorgarCreditosBienvenida(uid, email);
 
         const empresaRef = db.collection("empresas").doc(uid);
         const secureToken = crypto.randomBytes(32).toString('hex');
@@ -289,6 +384,12 @@ app.post("/api/analyze", async (req, res) => {
   }
 });
 
+// Usuario de la sesión: el checkout no recibe uid ni email en la URL al volver de la pasarela
+app.get("/api/session", requireAuth, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, uid: req.user.uid, email: req.user.email || null });
+});
+
 // Endpoint de configuración
 app.get("/api/config", (req, res) => {
   res.json({
@@ -305,10 +406,25 @@ app.get("/api/config", (req, res) => {
     },
     environment: process.env.NODE_ENV || 'production',
     peliprexBaseUrl: process.env.PELIPREX_BASE_URL,
+    pagoManual: datosCuentaManual(),
+    flowDisponible: Boolean(proveedorFlow),
     timestamp: new Date().toISOString()
   });
 });
 
+// Catálogo de planes a la venta (precios y datos de presentación)
+app.get("/api/plans", async (req, res) => {
+  const context = 'PLANS_API';
+  try {
+    const catalogo = await listarPlanesPublicos({ grupo: req.query.grupo || null });
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ success: true, ...catalogo });
+  } catch (error) {
+    logger.error(context, 'Error obteniendo catálogo', error);
+    res.status(500).json({ success: false, error: 'No se pudo cargar el catálogo de planes' });
+  }
+});
+
 // Endpoint de validación de reCAPTCHA
 app.post("/api/validate-recaptcha", async (req, res) => {
   try {
@@ -327,7 +443,7 @@ app.post("/api/login", async (req, res) => {
     const { email, recaptchaResponse, deviceId, deviceModel } = req.body;
     if (!email || !deviceId) return res.status(400).json({ success: false, error: 'Email and deviceId required' });
 
-    const blockStatus = await checkLoginBlock(email);
+    const blockStatus = await checkLoginBlock(email, getClientIp(req));
     if (blockStatus.isBlocked) {
       return res.status(403).json({ success: false, error: 'account_blocked', remainingMinutes: blockStatus.remainingMinutes });
     }
@@ -363,136 +479,805 @@ app.post("/api/report-failed-login", async (req, res) => {
   }
 });
 
-// Endpoint de pago (corregido para usar tipoPlan)
-app.post("/api/pay", async (req, res) => {
+// Listar bloqueos de login activos (solo administradores)
+app.get("/api/admin/login-blocks", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_LOGIN_BLOCKS';
+  try {
+    const bloqueos = await listarBloqueosActivos();
+    res.json({ success: true, total: bloqueos.length, bloqueos });
+  } catch (error) {
+    logger.error(context, 'Error listando bloqueos', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Levantar un bloqueo por email o IP (solo administradores)
+app.delete("/api/admin/login-blocks/:tipo/:valor", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_LIFT_LOGIN_BLOCK';
+  try {
+    const { tipo, valor } = req.params;
+    if (!['email', 'ip'].includes(tipo)) {
+      return res.status(400).json({ success: false, error: 'Tipo debe ser email o ip' });
+    }
+
+    const levantado = await levantarBloqueo(tipo, valor);
+    if (!levantado) return res.status(404).json({ success: false, error: 'No existe un registro para ese valor' });
+
+    logger.info(context, 'Bloqueo levantado', { tipo, valor, adminUid: req.user.uid });
+    await registrarAuditoria(req.user, { accion: 'levantar_bloqueo_login', objetivo: `${tipo}:${valor}`, motivo: req.body?.motivo || null });
+    res.json({ success: true, message: 'Bloqueo levantado' });
+  } catch (error) {
+    logger.error(context, 'Error levantando bloqueo', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// ================================================================
+// 🛠️ PANEL DE SOPORTE (SOLO ADMINISTRADORES)
+// ================================================================
+
+const ESTADOS_ADMIN_HTTP = { success: 200, not_found: 404, rechazado: 409, error: 500 };
+
+function responderAdmin(res, result) {
+  const httpStatus = ESTADOS_ADMIN_HTTP[result.status] || 200;
+  res.status(httpStatus).json({ success: httpStatus === 200, ...result });
+}
+
+// Buscar usuarios/empresas por uid o email
+app.get("/api/admin/users", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_SEARCH_USERS';
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ success: false, error: 'Parámetro q requerido' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const resultados = await buscarUsuarios(q);
+    await registrarAuditoria(req.user, { accion: 'buscar_usuarios', objetivo: q, detalle: { resultados: resultados.length } });
+    res.json({ success: true, resultados });
+  } catch (error) {
+    logger.error(context, 'Error buscando usuarios', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Pagos registrados de un usuario
+app.get("/api/admin/users/:uid/payments", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_USER_PAYMENTS';
+  try {
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+    const pagos = await obtenerPagosUsuario(req.params.uid);
+    await registrarAuditoria(req.user, { accion: 'ver_pagos', objetivo: req.params.uid });
+    res.json({ success: true, pagos });
+  } catch (error) {
+    logger.error(context, 'Error obteniendo pagos', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Otorgar o retirar créditos (cantidad positiva o negativa)
+app.post("/api/admin/users/:uid/credits", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_ADJUST_CREDITS';
+  try {
+    const cantidad = parseInt(req.body.cantidad, 10);
+    const { motivo } = req.body;
+    if (!Number.isInteger(cantidad) || cantidad === 0) {
+      return res.status(400).json({ success: false, error: 'cantidad debe ser un entero distinto de 0' });
+    }
+    if (!motivo) return res.status(400).json({ success: false, error: 'El motivo es obligatorio' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const result = await ajustarCreditos(req.params.uid, cantidad, { motivo, adminUser: req.user });
+    await registrarAuditoria(req.user, {
+      accion: 'ajustar_creditos', objetivo: req.params.uid, motivo, detalle: { cantidad, ...result }
+    });
+    logger.info(context, 'Ajuste de créditos', { uid: req.params.uid, cantidad, status: result.status, adminUid: req.user.uid });
+    responderAdmin(res, result);
+  } catch (error) {
+    logger.error(context, 'Error ajustando créditos', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Extender plan ilimitado o de Revenue Recovery
+app.post("/api/admin/users/:uid/plan", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_EXTEND_PLAN';
+  try {
+    const dias = parseInt(req.body.dias, 10);
+    const consultas = req.body.consultas === undefined ? null : parseInt(req.body.consultas, 10);
+    const { tipo, motivo } = req.body;
+    if (!Number.isInteger(dias) || dias <= 0) return res.status(400).json({ success: false, error: 'dias debe ser un entero positivo' });
+    if (consultas !== null && (!Number.isInteger(consultas) || consultas <= 0)) {
+      return res.status(400).json({ success: false, error: 'consultas debe ser un entero positivo' });
+    }
+    if (!motivo) return res.status(400).json({ success: false, error: 'El motivo es obligatorio' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const result = await extenderPlan(req.params.uid, tipo, dias, consultas);
+    await registrarAuditoria(req.user, {
+      accion: 'extender_plan', objetivo: req.params.uid, motivo, detalle: { tipo, dias, consultas, ...result }
+    });
+    logger.info(context, 'Extensión de plan', { uid: req.params.uid, tipo, dias, status: result.status, adminUid: req.user.uid });
+    responderAdmin(res, result);
+  } catch (error) {
+    logger.error(context, 'Error extendiendo plan', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Reenviar el correo de compra exitosa (con el enlace a la boleta)
+app.post("/api/admin/payments/:paymentId/resend-email", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_RESEND_EMAIL';
+  try {
+    const { motivo } = req.body;
+    if (!motivo) return res.status(400).json({ success: false, error: 'El motivo es obligatorio' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const result = await reenviarCorreoCompra(req.params.paymentId, resend);
+    await registrarAuditoria(req.user, {
+      accion: 'reenviar_correo_compra', objetivo: req.params.paymentId, motivo, detalle: result
+    });
+    responderAdmin(res, result);
+  } catch (error) {
+    logger.error(context, 'Error reenviando correo', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Reembolsar un pago en su pasarela (total, o parcial con `monto`); el reverso llega con la notificación
+app.post("/api/admin/payments/:paymentId/refund", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_REFUND';
+  try {
+    const { motivo } = req.body;
+    const monto = req.body.monto === undefined || req.body.monto === null ? null : Number(req.body.monto);
+    if (!motivo) return res.status(400).json({ success: false, error: 'El motivo es obligatorio' });
+    if (monto !== null && !Number.isFinite(monto)) return res.status(400).json({ success: false, error: 'monto debe ser numérico' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const result = await reembolsarPago(req.params.paymentId, { monto });
+    await registrarAuditoria(req.user, {
+      accion: 'reembolsar_pago', objetivo: req.params.paymentId, motivo, detalle: { monto, ...result }
+    });
+    logger.info(context, 'Reembolso solicitado', { paymentId: req.params.paymentId, monto, status: result.status, adminUid: req.user.uid });
+    responderAdmin(res, result);
+  } catch (error) {
+    logger.error(context, 'Error reembolsando pago', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Regenerar el XML y el PDF del comprobante (si faltan o están dañados; `forzar` para rehacerlos siempre)
+app.post("/api/admin/payments/:paymentId/regenerate-invoice", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_REGENERATE_INVOICE';
+  try {
+    const { motivo, forzar } = req.body;
+    if (!motivo) return res.status(400).json({ success: false, error: 'El motivo es obligatorio' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const result = await regenerarComprobante(req.params.paymentId, { forzar: forzar === true });
+    await registrarAuditoria(req.user, {
+      accion: 'regenerar_comprobante', objetivo: req.params.paymentId, motivo, detalle: result
+    });
+    responderAdmin(res, result);
+  } catch (error) {
+    logger.error(context, 'Error regenerando comprobante', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Registro de ventas del mes: ?periodo=AAAA-MM&formato=csv|ple|json
+app.get("/api/admin/sales-register", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_SALES_REGISTER';
+  try {
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const formato = String(req.query.formato || 'json').toLowerCase();
+    if (!['csv', 'ple', 'json'].includes(formato)) {
+      return res.status(400).json({ success: false, error: 'Formato no válido (csv, ple o json)' });
+    }
+
+    const registro = await obtenerRegistroVentas(req.query.periodo);
+    if (registro.status !== 'success' || formato === 'json') return responderAdmin(res, registro);
+
+    const { nombreArchivo, contenido } = formato === 'csv' ? registroVentasCSV(registro) : registroVentasPLE(registro);
+    res.set('Content-Type', formato === 'csv' ? 'text/csv; charset=utf-8' : 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(contenido);
+  } catch (error) {
+    logger.error(context, 'Error generando registro de ventas', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Cola de revisión de pagos manuales Yape/Plin: ?estado=pendiente|aprobado|rechazado
+app.get("/api/admin/vouchers", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_VOUCHERS';
+  try {
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+    const vouchers = await listarVouchers({
+      estado: req.query.estado || 'pendiente',
+      limite: parseInt(req.query.limite, 10) || 50
+    });
+    res.json({ success: true, vouchers });
+  } catch (error) {
+    logger.error(context, 'Error listando comprobantes', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Ver el archivo del comprobante (URL firmada de corta duración)
+app.get("/api/admin/vouchers/:voucherId/file", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_VOUCHER_FILE';
+  try {
+    if (!db || !bucket) return res.status(503).json({ success: false, error: 'Firebase no disponible' });
+    const archivoPath = await archivoVoucher(req.params.voucherId);
+    if (!archivoPath) return res.status(404).json({ success: false, error: 'Comprobante no encontrado' });
+
+    const { url, expiraEn } = await generarUrlFirmada(archivoPath);
+    await registrarAuditoria(req.user, { accion: 'ver_voucher', objetivo: req.params.voucherId });
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, url, expiraEn });
+  } catch (error) {
+    logger.error(context, 'Error firmando archivo del comprobante', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Aprobar un pago manual: otorga el plan con el procesador YAPE_MANUAL / PLIN_MANUAL
+app.post("/api/admin/vouchers/:voucherId/approve", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_APPROVE_VOUCHER';
+  try {
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const result = await aprobarVoucher(req.params.voucherId, req.user, resend);
+    await registrarAuditoria(req.user, {
+      accion: 'aprobar_voucher', objetivo: req.params.voucherId, motivo: req.body?.motivo || null, detalle: result
+    });
+    responderAdmin(res, result);
+  } catch (error) {
+    logger.error(context, 'Error aprobando comprobante', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Rechazar un pago manual (el motivo se envía al usuario)
+app.post("/api/admin/vouchers/:voucherId/reject", requireAdmin, async (req, res) => {
+  const context = 'ADMIN_REJECT_VOUCHER';
+  try {
+    const { motivo } = req.body;
+    if (!motivo) return res.status(400).json({ success: false, error: 'El motivo es obligatorio' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const result = await rechazarVoucher(req.params.voucherId, req.user, motivo, resend);
+    await registrarAuditoria(req.user, {
+      accion: 'rechazar_voucher', objetivo: req.params.voucherId, motivo, detalle: result
+    });
+    responderAdmin(res, result);
+  } catch (error) {
+    logger.error(context, 'Error rechazando comprobante', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Validar un cupón para un plan antes de pagar (muestra el precio final)
+app.post("/api/coupons/validate", requireAuth, async (req, res) => {
+  const context = 'COUPONS_VALIDATE';
+  try {
+    const { codigo, planId } = req.body;
+    if (!codigo || !planId) {
+      return res.status(400).json({ success: false, error: 'codigo y planId son requeridos' });
+    }
+
+    const result = await validarCupon(codigo, { uid: req.user.uid, planId });
+    if (result.status !== 'valido') {
+      return res.status(400).json({ success: false, error: result.message, motivo: result.motivo });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(context, 'Error validando cupón', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * Plan, cupón y datos de factura de una compra, validados contra el catálogo.
+ * Devuelve { error, motivo } si algo no es válido; el monto sale de aquí, nunca del navegador.
+ */
+async function resolverCompra(uid, { planId, codigoCupon = null, comprobante = null }) {
+  const plan = await obtenerPlan(planId, { soloDisponibles: true });
+  if (!plan) return { error: 'El plan seleccionado no está disponible' };
+
+  let canje = null;
+  if (codigoCupon) {
+    canje = await validarCupon(codigoCupon, { uid, planId });
+    if (canje.status !== 'valido') return { error: canje.message, motivo: canje.motivo };
+  }
+
+  // Factura: requiere RUC, razón social y dirección fiscal válidos
+  let datosFacturacion = null;
+  if (comprobante?.tipo === 'factura') {
+    const { datos, error } = normalizarDatosFactura(comprobante);
+    if (error) return { error };
+    datosFacturacion = datos;
+  }
+
+  return { plan, canje, datosFacturacion, monto: canje ? canje.montoFinal : plan.precio };
+}
+
+// Endpoint de pago: el cliente solo elige el plan (y el cupón); monto y descripción salen del catálogo
+app.post("/api/pay", requireAuth, async (req, res) => {
   const context = 'PAY_API';
   try {
-    const { transaction_amount, token, description, installments, payment_method_id, payer, uid, tipoPlan } = req.body;
-    if (!mpClient) return res.status(503).json({ error: 'Mercado Pago not configured' });
+    const { token, installments, payment_method_id, payer, planId, cupon: codigoCupon } = req.body;
+    const { uid } = req.user;
+    if (!proveedorMP) return res.status(503).json({ error: 'Mercado Pago not configured' });
+    if (!planId) return res.status(400).json({ error: 'planId es requerido' });
     if (!payer || !payer.email) {
       logger.error(context, 'Payer email missing in request body');
       return res.status(400).json({ error: 'Payer email is required' });
     }
 
-    const payment = new Payment(mpClient);
-    const result = await payment.create({
-      body: {
-        transaction_amount: Number(transaction_amount),
-        token,
-        description,
-        installments: Number(installments),
-        payment_method_id,
-        payer,
-        notification_url: `${HOST_URL}/api/webhook/mercadopago`,
-        metadata: { 
-          uid, 
-          email: payer.email, 
-          amount: transaction_amount, 
-          tipoPlan,
-          tipo_plan: tipoPlan // Duplicamos por seguridad para el webhook
-        }
-      }
+    // Todo se valida antes de cobrar: un plan desconocido o retirado nunca llega a la pasarela
+    const compra = await resolverCompra(uid, { planId, codigoCupon, comprobante: req.body.comprobante });
+    if (compra.error) {
+      logger.warn(context, 'Compra rechazada antes del cobro', { planId, cupon: codigoCupon || null, motivo: compra.motivo || compra.error, uid });
+      return res.status(400).json({ error: compra.error, motivo: compra.motivo });
+    }
+    const { plan, canje: cupon, datosFacturacion, monto } = compra;
+
+    const pago = await proveedorMP.crearCobro({
+      token,
+      monto,
+      descripcion: `Compra Consulta PE: ${plan.descripcion || plan.id}`,
+      metodoPago: payment_method_id,
+      cuotas: installments,
+      pagador: payer,
+      uid,
+      email: req.user.email || payer.email,
+      planId: plan.id,
+      catalogoVersion: plan.catalogoVersion,
+      cupon: cupon?.codigo || null,
+      facturacion: datosFacturacion
     });
 
-    if (result.status === 'approved') {
-      await otorgarBeneficio(uid, payer.email, transaction_amount, 'MP_CARD_INSTANT', result.id.toString(), resend, tipoPlan);
-    } else if (result.status === 'rejected' || result.status === 'cancelled') {
-      let userName = payer.email.split('@')[0];
-      try {
-        if (db) {
-          const collectionName = tipoPlan === 'revenue_recovery' ? 'empresas' : 'usuarios';
-          let userSnap = await db.collection(collectionName).doc(uid).get();
-          if (!userSnap.exists) {
-            const alternativeCollection = collectionName === 'empresas' ? 'usuarios' : 'empresas';
-            userSnap = await db.collection(alternativeCollection).doc(uid).get();
-          }
-          if (userSnap.exists) {
-            const userData = userSnap.data();
-            userName = userData.name || userData.displayName || userData.nombre || userName;
-          }
-        }
-      } catch (err) {}
-      
-      enviarCorreoRechazo(
-        payer.email, 
-        userName, 
-        result.id.toString(), 
-        transaction_amount, 
-        description || 'Compra en Consulta PE', 
-        result.status_detail || result.status, 
-        resend
-      ).catch(err => logger.error(context, 'Error enviando correo de rechazo', err));
-    }
-    res.json(result);
+    if (datosFacturacion && db) {
+      await db.collection("pagos_registrados").doc(pago.paymentId).set({
+        tipoComprobante: 'factura',
+        datosFacturacion
+      }, { merge: true });
+    }
+
+    const resultado = await procesarPago(pago, { resend, origen: payment_method_id === 'yape' ? 'MP_YAPE' : 'MP_CARD_INSTANT' });
+    // Cobro aprobado sin beneficio (monto distinto, cupón fuera de límite...): no se informa éxito.
+    // El pago queda registrado y el webhook o soporte lo retoman.
+    if (resultado?.status === 'error') {
+      logger.error(context, 'Pago cobrado sin otorgar el beneficio', { paymentId: pago.paymentId, estado: pago.estado, uid, planId: plan.id, message: resultado.message });
+      return res.status(500).json({
+        error: 'Recibimos tu pago pero no pudimos activar tu plan. Nuestro equipo lo revisará; conserva el número de operación.',
+        id: pago.paymentId,
+        beneficio: 'error'
+      });
+    }
+
+    // Solo lo que el checkout necesita para seguir el pago (no la respuesta completa de la pasarela)
+    res.json({
+      id: pago.paymentId,
+      status: pago.estado,
+      status_detail: pago.detalleEstado,
+      external_reference: pago.externalReference,
+      proveedor: pago.proveedor,
+      beneficio: resultado?.status || null
+    });
   } catch (error) {
+    // El detalle (SDK, Firestore) queda en el log; al cliente solo un mensaje genérico
     logger.error(context, 'Error en pago', error);
-    res.status(400).json({ error: error.message });
+    res.status(400).json({ error: 'No se pudo procesar el pago. Revisa tus datos e intenta nuevamente.' });
+  }
+});
+
+// ================================================================
+// 🛒 CHECKOUT PRO DE MERCADO PAGO (PREFERENCIAS)
+// ================================================================
+
+// La preferencia vence si el usuario no paga; después el checkout deja de esperar el pago
+const VIGENCIA_PREFERENCIA_MS = 24 * 60 * 60 * 1000;
+
+// Crea una preferencia para el plan y devuelve la URL de Mercado Pago (init_point).
+// El documento pendiente pagos_registrados/{externalReference} existe desde antes del pago,
+// así /api/payment-reference responde desde el primer sondeo del checkout.
+app.post("/api/checkout/preference", requireAuth, async (req, res) => {
+  const context = 'CHECKOUT_PREFERENCE';
+  try {
+    if (!proveedorMP) return res.status(503).json({ success: false, error: 'Mercado Pago not configured' });
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+    const { uid } = req.user;
+    const email = req.user.email || req.body.email;
+    if (!email) return res.status(400).json({ success: false, error: 'Email requerido' });
+
+    const compra = await resolverCompra(uid, {
+      planId: req.body.planId,
+      codigoCupon: req.body.cupon,
+      comprobante: req.body.comprobante
+    });
+    if (compra.error) return res.status(400).json({ success: false, error: compra.error, motivo: compra.motivo });
+    const { plan, canje, datosFacturacion, monto } = compra;
+
+    const externalReference = `${PREFIJO_REFERENCIA_PREFERENCIA}${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+    const expiraEn = new Date(Date.now() + VIGENCIA_PREFERENCIA_MS);
+    const pagoRef = db.collection("pagos_registrados").doc(externalReference);
+
+    // El pago real llega con su propio id y el mismo externalReference (ver /api/payment-reference)
+    await pagoRef.create({
+      uid,
+      email,
+      planId: plan.id,
+      catalogoVersion: plan.catalogoVersion,
+      monto,
+      cupon: canje?.codigo || null,
+      ...(datosFacturacion && { tipoComprobante: 'factura', datosFacturacion }),
+      proveedor: 'mercadopago',
+      externalReference,
+      origenCheckout: 'preferencia',
+      estado: 'pending',
+      procesado: false,
+      expiraEn,
+      fechaRegistro: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Mercado Pago agrega payment_id, status y external_reference a la URL de retorno.
+    // Sin uid ni email: la URL queda en los registros de la pasarela, el historial y el Referer
+    const urlRetorno = `${APP_BASE_URL}/checkout.html?${new URLSearchParams({ planId: plan.id }).toString()}`;
+    let preferencia;
+    try {
+      preferencia = await proveedorMP.crearPreferencia({
+        externalReference,
+        titulo: `Compra Consulta PE: ${plan.descripcion || plan.id}`,
+        monto,
+        expiraEn,
+        urlsRetorno: { success: urlRetorno, failure: urlRetorno, pending: urlRetorno },
+        uid,
+        email,
+        planId: plan.id,
+        catalogoVersion: plan.catalogoVersion,
+        cupon: canje?.codigo || null,
+        facturacion: datosFacturacion
+      });
+    } catch (error) {
+      await pagoRef.update({ estado: 'error', error: error.message });
+      logger.error(context, 'Error creando preferencia en Mercado Pago', error, { externalReference, uid });
+      return res.status(502).json({ success: false, error: 'No se pudo crear la preferencia de pago' });
+    }
+
+    await pagoRef.update({ preferenceId: preferencia.preferenciaId });
+    logger.info(context, 'Preferencia creada', { externalReference, preferenceId: preferencia.preferenciaId, uid, planId: plan.id });
+    res.json({
+      success: true,
+      preferenceId: preferencia.preferenciaId,
+      initPoint: preferencia.urlPago,
+      externalReference
+    });
+  } catch (error) {
+    logger.error(context, 'Error creando preferencia', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// ================================================================
+// 📲 PAGO MANUAL CON YAPE / PLIN
+// ================================================================
+
+const ESTADOS_VOUCHER_HTTP = { success: 201, duplicado: 409, rechazado: 400, error: 500 };
+
+// Sube el comprobante de la transferencia (cuerpo binario: imagen o PDF) y lo deja en revisión.
+// Datos en la query: planId, billetera (yape|plin), operacion, cupon y, para factura, ruc/razonSocial/direccion
+app.post("/api/vouchers", requireAuth, express.raw({ type: Object.keys(TIPOS_ARCHIVO_VOUCHER), limit: TAMANO_MAXIMO_VOUCHER }), async (req, res) => {
+  const context = 'VOUCHER_UPLOAD';
+  try {
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ success: false, error: 'Adjunta una imagen (JPG, PNG, WEBP) o PDF del comprobante' });
+    }
+
+    const { planId, billetera, operacion, cupon } = req.query;
+    let datosFacturacion = null;
+    if (req.query.comprobante === 'factura') {
+      const { datos, error } = normalizarDatosFactura(req.query);
+      if (error) return res.status(400).json({ success: false, error });
+      datosFacturacion = datos;
+    }
+
+    const result = await registrarVoucher(req.user.uid, req.user.email, {
+      planId,
+      billetera,
+      numeroOperacion: operacion,
+      cupon: cupon || null,
+      datosFacturacion,
+      archivo: req.body,
+      contentType: req.get('Content-Type')?.split(';')[0].trim()
+    });
+
+    const httpStatus = ESTADOS_VOUCHER_HTTP[result.status] || 200;
+    if (httpStatus >= 400) logger.warn(context, 'Comprobante no registrado', { uid: req.user.uid, status: result.status, message: result.message });
+    res.status(httpStatus).json({ success: httpStatus < 400, ...result });
+  } catch (error) {
+    logger.error(context, 'Error registrando comprobante', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
   }
 });
 
+// Estado de un comprobante enviado por el usuario
+app.get("/api/vouchers/:voucherId", requireAuth, async (req, res) => {
+  const context = 'VOUCHER_STATUS';
+  try {
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+    const voucher = await obtenerVoucherUsuario(req.params.voucherId, req.user.uid);
+    if (!voucher) return res.status(404).json({ success: false, error: 'Comprobante no encontrado' });
+    res.json({ success: true, voucher });
+  } catch (error) {
+    logger.error(context, 'Error obteniendo comprobante', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// ================================================================
+// 🌎 PAGOS CON FLOW
+// ================================================================
+
+// Crea la orden en Flow y devuelve la URL de pago a la que se redirige al usuario
+app.post("/api/flow/create", requireAuth, async (req, res) => {
+  const context = 'FLOW_CREATE';
+  try {
+    if (!proveedorFlow) return res.status(503).json({ success: false, error: 'Flow no configurado' });
+    const { uid } = req.user;
+    const email = req.user.email || req.body.email;
+    if (!email) return res.status(400).json({ success: false, error: 'Email requerido' });
+
+    const compra = await resolverCompra(uid, {
+      planId: req.body.planId,
+      codigoCupon: req.body.cupon,
+      comprobante: req.body.comprobante
+    });
+    if (compra.error) return res.status(400).json({ success: false, error: compra.error, motivo: compra.motivo });
+    const { plan, canje, datosFacturacion } = compra;
+
+    let orden;
+    try {
+      orden = await proveedorFlow.crearPreferencia({ uid, email, plan, canje, facturacion: datosFacturacion });
+    } catch (error) {
+      logger.error(context, 'Flow rechazó la orden', error, { uid, planId: plan.id });
+      return res.status(502).json({ success: false, error: 'No se pudo crear la orden en Flow' });
+    }
+
+    res.json({ success: true, url: orden.urlPago, commerceOrder: orden.externalReference });
+  } catch (error) {
+    logger.error(context, 'Error creando orden de Flow', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Confirmación de Flow (urlConfirmation): llega el token por POST y el estado se consulta a Flow.
+// La firma `s` es obligatoria (sin ella se responde 401); aun así el estado nunca se toma del
+// cuerpo sino de payment/getStatus firmado.
+app.post("/api/webhook/flow", express.urlencoded({ extended: false }), async (req, res) => {
+  const context = 'WEBHOOK_FLOW';
+  if (!proveedorFlow) return res.sendStatus(503);
+
+  const { verificacion, pagoId: token } = proveedorFlow.interpretarNotificacion(req);
+  if (!token) return res.sendStatus(400);
+  if (!verificacion.valido) {
+    logger.warn(context, 'Confirmación rechazada', { motivo: verificacion.motivo, ip: getClientIp(req) });
+    return res.sendStatus(401);
+  }
+
+  try {
+    const { estadoFlow, resultado } = await sincronizarPagoFlow({ token }, { resend, origen: 'FLOW_WEBHOOK' });
+    if (resultado.status === 'error') {
+      logger.error(context, 'Confirmación no procesada; Flow la reintentará', { commerceOrder: estadoFlow.commerceOrder, message: resultado.message });
+      return res.sendStatus(500);
+    }
+    logger.info(context, 'Confirmación procesada', { commerceOrder: estadoFlow.commerceOrder, status: resultado.status });
+    res.sendStatus(200);
+  } catch (error) {
+    // Flow reintenta la confirmación si no recibe 200
+    logger.error(context, 'Error procesando confirmación', error);
+    res.sendStatus(500);
+  }
+});
+
+// Retorno del usuario desde Flow (urlReturn, POST con token): se sincroniza y se vuelve al checkout
+async function retornoFlow(req, res) {
+  const context = 'FLOW_RETURN';
+  const token = req.body?.token || req.query.token;
+  if (!token) return res.redirect('/planes.html');
+
+  const orden = await obtenerOrdenFlowPorToken(token).catch(() => null);
+  if (!orden) return res.redirect('/planes.html');
+
+  try {
+    await sincronizarPagoFlow({ token }, { resend, origen: 'FLOW_RETURN' });
+  } catch (error) {
+    // La confirmación o el sondeo completarán el pago; el checkout sigue consultando
+    logger.error(context, 'Error sincronizando el retorno', error, { commerceOrder: orden.commerceOrder });
+  }
+
+  // Solo plan y orden: el checkout toma el usuario de la sesión
+  const destino = new URLSearchParams({
+    planId: orden.planId,
+    external_reference: orden.commerceOrder
+  });
+  res.redirect(303, `/checkout.html?${destino.toString()}`);
+}
+
+app.post("/api/flow/return", express.urlencoded({ extended: false }), retornoFlow);
+app.get("/api/flow/return", retornoFlow);
+
 // Webhook de Mercado Pago
 app.post("/api/webhook/mercadopago", async (req, res) => {
   const context = 'WEBHOOK_MP';
-  const webhookData = req.body;
-  res.sendStatus(200);
+  if (!proveedorMP) return res.sendStatus(503);
+
+  const notificacion = proveedorMP.interpretarNotificacion(req);
+  const { verificacion, requestId, pagoId } = notificacion;
+
+  const evento = await registrarEventoWebhook('mercadopago', {
+    requestId,
+    dataId: pagoId,
+    tipo: notificacion.tipo,
+    verificacion,
+    ip: getClientIp(req),
+    body: req.body
+  });
 
-  if (!mpClient) return;
-  const isPaymentEvent = webhookData.action?.includes('payment') || webhookData.type === 'payment';
-  if (isPaymentEvent) {
-    try {
-      const paymentId = webhookData.data?.id || webhookData.id;
-      const payment = new Payment(mpClient);
-      const paymentInfo = await payment.get({ id: paymentId });
-
-      if (paymentInfo.status === "approved") {
-        const metadata = paymentInfo.metadata || {};
-        const uid = metadata.uid || paymentInfo.external_reference;
-        const email = metadata.email || paymentInfo.payer?.email;
-        const amount = metadata.amount || paymentInfo.transaction_amount;
-        const planId = metadata.tipo_plan || metadata.tipoPlan || metadata.plan_id;
-
-        if (uid && planId) {
-          await otorgarBeneficio(uid, email, amount, 'MP_WEBHOOK', paymentId.toString(), resend, planId);
-        } else {
-          logger.error(context, 'Datos insuficientes en webhook aprobado', { paymentId, uid, planId });
-        }
-      } else if (paymentInfo.status === "rejected" || paymentInfo.status === "cancelled") {
-        const metadata = paymentInfo.metadata || {};
-        const email = metadata.email || paymentInfo.payer?.email;
-        const uid = metadata.uid;
-        const tipoPlan = metadata.tipoPlan;
-        
-        if (email && uid) {
-          let userName = email.split('@')[0];
-          try {
-            if (db) {
-              const collectionName = tipoPlan === 'revenue_recovery' ? 'empresas' : 'usuarios';
-              let userSnap = await db.collection(collectionName).doc(uid).get();
-              if (!userSnap.exists) {
-                const alternativeCollection = collectionName === 'empresas' ? 'usuarios' : 'empresas';
-                userSnap = await db.collection(alternativeCollection).doc(uid).get();
-              }
-              if (userSnap.exists) {
-                const userData = userSnap.data();
-                userName = userData.name || userData.displayName || userData.nombre || userName;
-              }
-            }
-          } catch (err) {}
-
-          enviarCorreoRechazo(
-            email,
-            userName,
-            paymentId.toString(),
-            metadata.amount || paymentInfo.transaction_amount,
-            paymentInfo.description || 'Compra en Consulta PE',
-            paymentInfo.status_detail || paymentInfo.status,
-            resend
-          ).catch(err => logger.error(context, 'Error enviando correo de rechazo desde webhook', err));
-        }
-      }
-    } catch (error) {
-      logger.error(context, 'Error en webhook', error);
+  if (!verificacion.valido) {
+    logger.warn(context, 'Notificación rechazada', { motivo: verificacion.motivo, requestId, dataId: pagoId, ip: getClientIp(req) });
+    if (verificacion.motivo === 'secret_no_configurado') {
+      logger.error(context, 'MERCADOPAGO_WEBHOOK_SECRET no configurado: no se procesan webhooks');
+      return res.sendStatus(503);
     }
+    return res.sendStatus(401);
+  }
+
+  // Un evento ya procesado se confirma con 200: cualquier otra respuesta hace que Mercado Pago lo reintente
+  if (evento.replay) {
+    logger.warn(context, 'Notificación repetida (replay) ya procesada; se ignora', { requestId, dataId: pagoId, eventoId: evento.eventoId });
+    return res.sendStatus(200);
+  }
+
+  if (!notificacion.esPago) {
+    await actualizarEventoWebhook(evento.eventoId, { procesado: true });
+    return res.sendStatus(200);
+  }
+
+  // Se responde después de procesar: ante un error Mercado Pago reintenta la notificación
+  try {
+    const resultado = await procesarNotificacionPago(pagoId, {
+      proveedor: proveedorMP,
+      resend,
+      origen: 'MP_WEBHOOK'
+    });
+    if (resultado?.status === 'error') {
+      logger.error(context, 'Pago no procesado; se espera el reintento', { dataId: pagoId, message: resultado.message, reintento: Boolean(evento.reintento) });
+      await actualizarEventoWebhook(evento.eventoId, { resultado: 'error', errorProcesamiento: resultado.message || null });
+      return res.sendStatus(500);
+    }
+    await actualizarEventoWebhook(evento.eventoId, { resultado: resultado?.status || null, procesado: true, errorProcesamiento: null });
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error(context, 'Error en webhook', error);
+    await actualizarEventoWebhook(evento.eventoId, { errorProcesamiento: error.message });
+    res.sendStatus(500);
+  }
+});
+
+// ================================================================
+// 🪙 CONSUMO DE CRÉDITOS (LEDGER DEL SERVIDOR)
+// ================================================================
+
+/**
+ * Resuelve quién hace la petición: un usuario autenticado (ID token o cookie de sesión)
+ * o un servicio interno con la clave CREDITOS_SERVICE_KEY (que indica el uid).
+ */
+async function resolverSolicitanteCreditos(req) {
+  const serviceKey = process.env.CREDITOS_SERVICE_KEY;
+  const headerKey = req.headers['x-service-key'];
+  if (serviceKey && typeof headerKey === 'string' && headerKey.length === serviceKey.length &&
+      crypto.timingSafeEqual(Buffer.from(headerKey), Buffer.from(serviceKey))) {
+    return req.body.uid ? { uid: req.body.uid, esServicio: true } : null;
+  }
+
+  const user = await autenticarSolicitud(req);
+  return user ? { uid: user.uid, esServicio: false } : null;
+}
+
+const ESTADOS_CONSUMO_HTTP = { cobrado: 200, duplicado: 200, ilimitado: 200, revertido: 200, insuficiente: 402, prohibido: 403, not_found: 404, rechazado: 409, cuota_agotada: 429 };
+
+app.post("/api/credits/consume", async (req, res) => {
+  const context = 'CREDITS_CONSUME_API';
+  try {
+    const solicitante = await resolverSolicitanteCreditos(req);
+    if (!solicitante) return res.status(401).json({ success: false, error: 'No autorizado' });
+
+    const { motivo, recurso, monto, idempotencyKey, referencia } = req.body;
+    if (!motivo || !idempotencyKey) {
+      return res.status(400).json({ success: false, error: 'motivo e idempotencyKey son obligatorios' });
+    }
+
+    const costo = calcularCostoConsumo(motivo, { recurso, monto }, solicitante.esServicio);
+    if (!costo) return res.status(400).json({ success: false, error: 'Motivo de consumo no válido' });
+
+    const result = await consumirCreditos(solicitante.uid, {
+      motivo,
+      monto: costo,
+      idempotencyKey,
+      referencia: referencia || recurso || null,
+      origen: solicitante.esServicio ? 'servicio' : 'web'
+    });
+
+    if (result.status === 'error') return res.status(500).json({ success: false, error: result.message });
+    const httpStatus = ESTADOS_CONSUMO_HTTP[result.status] || 200;
+    res.status(httpStatus).json({ success: httpStatus === 200, ...result });
+  } catch (error) {
+    logger.error(context, 'Error consumiendo créditos', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+app.post("/api/credits/revert", async (req, res) => {
+  const context = 'CREDITS_REVERT_API';
+  try {
+    const solicitante = await resolverSolicitanteCreditos(req);
+    if (!solicitante) return res.status(401).json({ success: false, error: 'No autorizado' });
+    if (!solicitante.esServicio) return res.status(403).json({ success: false, error: 'Solo un servicio interno puede revertir consumos' });
+
+    const { idempotencyKey } = req.body;
+    if (!idempotencyKey) return res.status(400).json({ success: false, error: 'idempotencyKey es obligatorio' });
+
+    const result = await revertirConsumo(solicitante.uid, idempotencyKey, 'servicio');
+
+    if (result.status === 'error') return res.status(500).json({ success: false, error: result.message });
+    const httpStatus = ESTADOS_CONSUMO_HTTP[result.status] || 200;
+    res.status(httpStatus).json({ success: httpStatus === 200, ...result });
+  } catch (error) {
+    logger.error(context, 'Error revirtiendo consumo', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// ================================================================
+// 📅 ESTADO DE LA SUSCRIPCIÓN
+// ================================================================
+
+// Plan vigente del usuario y de su empresa; vence en el momento los planes que ya terminaron
+app.get("/api/subscription/status", requireAuth, async (req, res) => {
+  const context = 'SUBSCRIPTION_STATUS';
+  try {
+    if (!db) return res.status(503).json({ success: false, error: 'Database no disponible' });
+
+    const [usuario, empresa] = await Promise.all([
+      verificarVencimientoCuenta(req.user.uid, 'usuarios'),
+      verificarVencimientoCuenta(req.user.uid, 'empresas')
+    ]);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      usuario: usuario.existe ? {
+        tipoPlan: usuario.data.tipoPlan || 'creditos',
+        creditos: usuario.data.creditos || 0,
+        planIlimitadoHasta: usuario.data.planIlimitadoHasta?.toDate() || null,
+        cuotaConsultas: usuario.data.tipoPlan === 'ilimitado' ? cuotaConsultas(usuario.data) : null,
+        vencidoAhora: usuario.vencido
+      } : null,
+      empresa: empresa.existe ? {
+        plan: empresa.data.plan || null,
+        planStatus: empresa.data.planStatus || null,
+        planExpiry: empresa.data.planExpiry?.toDate() || null,
+        vencidoAhora: empresa.vencido
+      } : null
+    });
+  } catch (error) {
+    logger.error(context, 'Error obteniendo estado de la suscripción', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
   }
 });
 
@@ -501,7 +1286,7 @@ app.post("/api/webhook/mercadopago", async (req, res) => {
 // ================================================================
 
 // Obtener estado de un pago por ID de Mercado Pago
-app.get("/api/payment-status/:paymentId", async (req, res) => {
+app.get("/api/payment-status/:paymentId", requireAuth, async (req, res) => {
   try {
     const paymentId = req.params.paymentId;
     if (!paymentId) return res.status(400).json({ error: 'paymentId requerido' });
@@ -514,6 +1299,8 @@ app.get("/api/payment-status/:paymentId", async (req, res) => {
     }
 
     const data = pagoDoc.data();
+    if (data.uid !== req.user.uid) return res.status(404).json({ error: 'Pago no encontrado' });
+
     res.json({
       status: data.estado || 'pending',
       processed: data.procesado || false,
@@ -526,7 +1313,7 @@ app.get("/api/payment-status/:paymentId", async (req, res) => {
 });
 
 // Obtener estado por external_reference (opcional)
-app.get("/api/payment-reference/:externalRef", async (req, res) => {
+app.get("/api/payment-reference/:externalRef", requireAuth, async (req, res) => {
   try {
     const externalRef = req.params.externalRef;
     if (!externalRef) return res.status(400).json({ error: 'externalRef requerido' });
@@ -535,14 +1322,24 @@ app.get("/api/payment-reference/:externalRef", async (req, res) => {
 
     const pagosQuery = await db.collection("pagos_registrados")
       .where("externalReference", "==", externalRef)
-      .limit(1)
+      .where("uid", "==", req.user.uid)
+      .limit(5)
       .get();
 
     if (pagosQuery.empty) {
       return res.json({ status: 'pending', processed: false, paymentId: null });
     }
 
-    const doc = pagosQuery.docs[0];
+    // Con Checkout Pro el documento de la preferencia (id = externalReference) precede al pago;
+    // si ya llegó el pago real se informa ese (el procesado primero: antes pudo haber intentos rechazados)
+    const pagosReales = pagosQuery.docs.filter(d => d.id !== externalRef);
+    const doc = pagosReales.find(d => d.data().procesado) || pagosReales[0];
+    if (!doc) {
+      const preferencia = pagosQuery.docs[0].data();
+      const vencida = preferencia.expiraEn && preferencia.expiraEn.toDate() < new Date();
+      return res.json({ status: vencida ? 'cancelled' : 'pending', processed: false, paymentId: null });
+    }
+
     const data = doc.data();
     res.json({
       status: data.estado || 'pending',
@@ -555,36 +1352,134 @@ app.get("/api/payment-reference/:externalRef", async (req, res) => {
   }
 });
 
-// Endpoint para descargar la boleta de venta (PDF)
-app.get("/api/invoice/:paymentId", async (req, res) => {
+/**
+ * Carga un pago para descargar sus comprobantes: solo el dueño o un administrador.
+ * A cualquier otro se le responde 404 para no revelar qué pagos existen.
+ */
+async function obtenerPagoPropio(req) {
+  const pagoDoc = await db.collection("pagos_registrados").doc(req.params.paymentId).get();
+  const data = pagoDoc.exists ? pagoDoc.data() : null;
+  if (!data || (data.uid !== req.user.uid && req.user.claims?.admin !== true)) return null;
+  return data;
+}
+
+// Comprobante en PDF (?tipo=nota_credito para la nota de crédito).
+// Por defecto se transmite el archivo; con ?modo=url se devuelve una URL firmada de corta duración.
+app.get("/api/invoice/:paymentId", requireAuth, async (req, res) => {
+  const context = 'INVOICE_DOWNLOAD';
   try {
-    const paymentId = req.params.paymentId;
-    if (!db) return res.status(503).json({ error: 'Database no disponible' });
+    const { paymentId } = req.params;
+    if (!db || !bucket) return res.status(503).json({ error: 'Database no disponible' });
 
-    const pagoDoc = await db.collection("pagos_registrados").doc(paymentId).get();
-    if (!pagoDoc.exists) return res.status(404).json({ error: 'Pago no encontrado' });
+    const data = await obtenerPagoPropio(req);
+    if (!data) return res.status(404).json({ error: 'Pago no encontrado' });
 
-    const data = pagoDoc.data();
-    if (!data.pdfUrl) {
+    const esNota = req.query.tipo === 'nota_credito';
+    let rutaPdf = rutaPdfComprobante(data, paymentId, { notaCredito: esNota });
+
+    // Si la generación tras la aprobación falló, la boleta se rehace bajo demanda
+    const procesadoHace = Date.now() - (data.procesadoEn?.toDate().getTime() || Date.now());
+    if (!rutaPdf && !esNota && data.procesado && procesadoHace > MARGEN_REGENERACION_MS) {
+      const regeneracion = await regenerarComprobante(paymentId);
+      if (regeneracion.status === 'success') rutaPdf = regeneracion.pdfPath || null;
+    }
+
+    if (!rutaPdf) {
       return res.status(404).json({ error: 'La boleta aún no está disponible. Intenta en unos segundos.' });
     }
 
-    // Redirigir a la URL pública de Firebase Storage
-    res.redirect(data.pdfUrl);
+    const numero = esNota ? data.notaCredito?.numero : data.comprobante?.numero;
+    const nombreDescarga = `${numero || paymentId}.pdf`;
+
+    if (req.query.modo === 'url') {
+      const { url, expiraEn } = await generarUrlFirmada(rutaPdf, { nombreDescarga });
+      res.set('Cache-Control', 'no-store');
+      return res.json({ success: true, url, expiraEn: expiraEn.toISOString() });
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${nombreDescarga}"`);
+    res.set('Cache-Control', 'private, no-store');
+    bucket.file(rutaPdf).createReadStream()
+      .on('error', (error) => {
+        logger.error(context, 'Error leyendo PDF de Storage', error, { paymentId, rutaPdf });
+        if (!res.headersSent) res.status(500).json({ error: 'Error al obtener la boleta' });
+        else res.end();
+      })
+      .pipe(res);
   } catch (error) {
-    logger.error('INVOICE_DOWNLOAD', error);
+    logger.error(context, 'Error obteniendo la boleta', error);
     res.status(500).json({ error: 'Error al obtener la boleta' });
   }
 });
 
+// Comprobante generado al vuelo desde los datos del pago, sin pasar por Storage ni por disco
+app.get("/api/invoice/:paymentId/render", requireAuth, async (req, res) => {
+  const context = 'INVOICE_RENDER';
+  try {
+    const { paymentId } = req.params;
+    if (!db) return res.status(503).json({ error: 'Database no disponible' });
+
+    const data = await obtenerPagoPropio(req);
+    if (!data) return res.status(404).json({ error: 'Pago no encontrado' });
+    if (!data.procesado) return res.status(409).json({ error: 'El pago aún no está aprobado' });
+
+    const invoiceData = datosComprobanteDePago(data, paymentId);
+    invoiceData.valorResumen = data.valorResumen || buildInvoiceXML(invoiceData).valorResumen;
+
+    const pdf = await generateInvoicePDFStream(invoiceData);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${nombreArchivoPDF(invoiceData)}"`);
+    res.set('Cache-Control', 'private, no-store');
+    pdf.pipe(res);
+  } catch (error) {
+    logger.error(context, 'Error generando la boleta', error);
+    res.status(500).json({ error: 'Error al generar la boleta' });
+  }
+});
+
+// XML UBL 2.1 del comprobante (?tipo=nota_credito para el de la nota de crédito)
+app.get("/api/invoice/:paymentId/xml", requireAuth, async (req, res) => {
+  const context = 'INVOICE_XML';
+  try {
+    const { paymentId } = req.params;
+    if (!db || !bucket) return res.status(503).json({ error: 'Database no disponible' });
+
+    const data = await obtenerPagoPropio(req);
+    if (!data) return res.status(404).json({ error: 'Pago no encontrado' });
+
+    const esNota = req.query.tipo === 'nota_credito';
+    const xmlPath = esNota ? data.notaCreditoXmlPath : data.xmlPath;
+    if (!xmlPath) {
+      return res.status(404).json({ error: 'El XML del comprobante aún no está disponible.' });
+    }
+
+    const numero = esNota ? data.notaCredito?.numero : data.comprobante?.numero;
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${numero || paymentId}.xml"`);
+    bucket.file(xmlPath).createReadStream()
+      .on('error', (error) => {
+        logger.error(context, 'Error leyendo XML de Storage', error, { paymentId, xmlPath });
+        if (!res.headersSent) res.status(500).json({ error: 'Error al obtener el XML' });
+        else res.end();
+      })
+      .pipe(res);
+  } catch (error) {
+    logger.error(context, 'Error obteniendo XML', error);
+    res.status(500).json({ error: 'Error al obtener el XML' });
+  }
+});
+
 // Endpoint para obtener información del pago (ya existente, pero lo dejamos)
-app.get("/api/payment/:paymentId", async (req, res) => {
+app.get("/api/payment/:paymentId", requireAuth, async (req, res) => {
   try {
     if (!db) return res.status(503).json({ error: 'Database not available' });
     const pagoDoc = await db.collection("pagos_registrados").doc(req.params.paymentId).get();
     if (!pagoDoc.exists) return res.status(404).json({ error: 'Payment not found' });
     
     const data = pagoDoc.data();
+    if (data.uid !== req.user.uid) return res.status(404).json({ error: 'Payment not found' });
+
     const fecha = data.fechaRegistro?.toDate() || new Date();
     res.json({
       id: req.params.paymentId,
@@ -597,7 +1492,7 @@ app.get("/api/payment/:paymentId", async (req, res) => {
       estado: data.estado,
       procesado: data.procesado,
       tipoPlan: data.tipoPlanNuevo || 'creditos',
-      pdfUrl: data.pdfUrl || null
+      pdfUrl: rutaPdfComprobante(data, req.params.paymentId) ? enlaceComprobante(req.params.paymentId) : null
     });
   } catch (error) {
     res.status(500).json({ error: 'Internal server error' });
@@ -875,6 +1770,9 @@ app.post("/api/support/send", async (req, res) => {
 });
 
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'El archivo o el cuerpo de la solicitud es demasiado grande' });
+  }
   logger.error('GLOBAL_ERROR', 'Error no manejado', err);
   res.status(500).json({ error: 'Error interno del servidor' });
 });
@@ -1,11 +1,17 @@
 import admin from "firebase-admin";
-import { MercadoPagoConfig, Payment } from "mercadopago";
 import { generateInvoicePDF } from './pdfGenerator.js';
+import { buildInvoiceXML } from './ublGenerator.js';
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
 import moment from "moment-timezone";
+import os from "os";
+import crypto from "crypto";
 import { logger } from './seguridad.js';
+import { registrarMovimiento, COLECCION_MOVIMIENTOS } from './creditos.js';
+import { obtenerPlan } from './catalogoPlanes.js';
+import { resolverCuponDePago, leerCuponEnTransaccion, registrarCanjeCupon, leerCanjeDePago, liberarCanjeCupon } from './cupones.js';
+import { refSerie, asignarCorrelativo, numeroComprobantePago, tipoNotaCredito } from './comprobantes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -106,59 +112,118 @@ export async function initFirebase(serviceAccount) {
   }
 }
 
-// ================================================================
-// 💳 CONFIGURACIÓN DE MERCADO PAGO Y MAPA DE PRECIOS SEGURO
-// ================================================================
-
-// Mapa de Precios Seguro (Backend)
-export const MAPA_PLANES = {
-  // Paquetes de Créditos
-  "60_creditos": { precio: 10, creditos: 60, bonus: 3, tipo: "creditos", descripcion: "Paquete de 60 créditos + 3 bonus" },
-  "125_creditos": { precio: 20, creditos: 125, bonus: 5, tipo: "creditos", descripcion: "Paquete de 125 créditos + 5 bonus" },
-  "330_creditos": { precio: 50, creditos: 330, bonus: 20, tipo: "creditos", descripcion: "Paquete de 330 créditos + 20 bonus" },
-  "700_creditos": { precio: 100, creditos: 700, bonus: 40, tipo: "creditos", descripcion: "Paquete de 700 créditos + 40 bonus" },
-  "1500_creditos": { precio: 200, creditos: 1500, bonus: 80, tipo: "creditos", descripcion: "Paquete de 1500 créditos + 80 bonus" },
-  
-  // Planes Intensivos (Ilimitados)
-  "plan_7_dias": { precio: 80, dias: 7, umbral: 1000, tipo: "ilimitado", descripcion: "Plan Intensivo 7 días (1,000 consultas)" },
-  "plan_15_dias": { precio: 120, dias: 15, umbral: 2500, tipo: "ilimitado", descripcion: "Plan Intensivo 15 días (2,500 consultas)" },
-  "plan_30_dias": { precio: 180, dias: 30, umbral: 5000, tipo: "ilimitado", descripcion: "Plan Intensivo 30 días (5,000 consultas)" },
-  "plan_60_dias": { precio: 320, dias: 60, umbral: 12000, tipo: "ilimitado", descripcion: "Plan Intensivo 60 días (12,000 consultas)" },
+/**
+ * Caché LRU acotada: al superar `maxEntradas` se descarta la entrada menos usada
+ */
+export function crearCacheLRU(maxEntradas = 1000) {
+  const entradas = new Map();
+
+  return {
+    has: (clave) => entradas.has(clave),
+    get(clave) {
+      if (!entradas.has(clave)) return undefined;
+      const valor = entradas.get(clave);
+      entradas.delete(clave);
+      entradas.set(clave, valor);
+      return valor;
+    },
+    set(clave, valor) {
+      entradas.delete(clave);
+      entradas.set(clave, valor);
+      if (entradas.size > maxEntradas) {
+        entradas.delete(entradas.keys().next().value);
+      }
+    },
+    delete: (clave) => entradas.delete(clave),
+    get size() { return entradas.size; }
+  };
+}
 
-  // Revenue Recovery (Mantener compatibilidad si existe)
-  "plan_starter_rr": { precio: 29, dias: 30, tipo: "revenue_recovery", descripcion: "Plan Starter - Revenue Recovery OS" },
-  "plan_business_rr": { precio: 79, dias: 30, tipo: "revenue_recovery", descripcion: "Plan Business - Revenue Recovery OS" },
-  "plan_enterprise_rr": { precio: 199, dias: 30, tipo: "revenue_recovery", descripcion: "Plan Enterprise - Revenue Recovery OS" }
-};
+// Solo acelera respuestas repetidas; la fuente de verdad es pagos_registrados
+export const processedPaymentsCache = crearCacheLRU(Number(process.env.PAYMENTS_CACHE_SIZE) || 1000);
 
-// Mantener para compatibilidad con código antiguo si es necesario, pero priorizar MAPA_PLANES
-export const PAQUETES_CREDITOS = { 10: 60, 20: 125, 50: 330, 100: 700, 200: 1500 };
-export const PLANES_ILIMITADOS = { 80: 7, 120: 15, 180: 30, 320: 60 };
+// ================================================================
+// 🔒 LOCK DISTRIBUIDO DE PAGOS (LEASE EN FIRESTORE)
+// ================================================================
 
-export const processedPaymentsCache = new Map();
-export const paymentLocks = new Map();
+export const INSTANCE_ID = process.env.FLY_MACHINE_ID || `${os.hostname()}-${process.pid}`;
+export const PAYMENT_LEASE_MS = 60 * 1000;
 
+/**
+ * Adquiere un lease sobre pagos_registrados/{paymentRef}.
+ * Si otra máquina tiene un lease vigente se espera; un lease vencido se toma.
+ * Devuelve el token del lease (necesario para liberarlo) o null si se agotó la espera.
+ */
 export async function acquirePaymentLock(paymentRef, maxWaitMs = 10000) {
   const context = 'PAYMENT_LOCK';
   const startTime = Date.now();
+  const token = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  const pagoDoc = db.collection("pagos_registrados").doc(paymentRef);
+  let espera = 100;
+
+  while (true) {
+    const resultado = await db.runTransaction(async (t) => {
+      const snap = await t.get(pagoDoc);
+      const lease = snap.exists ? snap.data().lock : null;
+      const ahora = Date.now();
+
+      if (lease && lease.expiraEn.toMillis() > ahora) {
+        return { adquirido: false, owner: lease.owner };
+      }
+
+      t.set(pagoDoc, {
+        lock: {
+          owner: INSTANCE_ID,
+          token,
+          adquiridoEn: new Date(ahora),
+          expiraEn: new Date(ahora + PAYMENT_LEASE_MS)
+        }
+      }, { merge: true });
+
+      return { adquirido: true, tomadoDe: lease ? lease.owner : null };
+    });
+
+    if (resultado.adquirido) {
+      if (resultado.tomadoDe) {
+        logger.warn(context, 'Lease vencido tomado', { paymentRef, previousOwner: resultado.tomadoDe });
+      }
+      logger.info(context, '🔒 Lock adquirido', { paymentRef, owner: INSTANCE_ID });
+      return token;
+    }
 
-  while (paymentLocks.has(paymentRef)) {
     if (Date.now() - startTime > maxWaitMs) {
-      logger.warn(context, 'Timeout esperando lock', { paymentRef, waitedMs: maxWaitMs });
-      return false;
+      logger.warn(context, 'Timeout esperando lock', { paymentRef, waitedMs: maxWaitMs, owner: resultado.owner });
+      return null;
     }
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
 
-  paymentLocks.set(paymentRef, Date.now());
-  logger.info(context, '🔒 Lock adquirido', { paymentRef });
-  return true;
+    await new Promise(resolve => setTimeout(resolve, espera));
+    espera = Math.min(espera * 2, 1000);
+  }
 }
 
-export function releasePaymentLock(paymentRef) {
+/**
+ * Libera el lease solo si sigue perteneciendo al token indicado
+ */
+export async function releasePaymentLock(paymentRef, token) {
   const context = 'PAYMENT_LOCK';
-  paymentLocks.delete(paymentRef);
-  logger.info(context, '🔓 Lock liberado', { paymentRef });
+  const pagoDoc = db.collection("pagos_registrados").doc(paymentRef);
+
+  try {
+    const liberado = await db.runTransaction(async (t) => {
+      const snap = await t.get(pagoDoc);
+      if (!snap.exists || snap.data().lock?.token !== token) return false;
+      t.update(pagoDoc, { lock: admin.firestore.FieldValue.delete() });
+      return true;
+    });
+
+    if (liberado) {
+      logger.info(context, '🔓 Lock liberado', { paymentRef });
+    } else {
+      logger.warn(context, 'El lease ya no pertenecía a esta instancia', { paymentRef });
+    }
+  } catch (error) {
+    logger.error(context, 'Error liberando lock', error, { paymentRef });
+  }
 }
 
 export async function checkFileExistsInStorage(fileName) {
@@ -166,31 +231,76 @@ export async function checkFileExistsInStorage(fileName) {
 
   if (!bucket) {
     logger.error(context, 'Firebase Storage no está inicializado');
-    return { exists: false, url: null };
+    return { exists: false, path: null };
   }
 
   try {
     const file = bucket.file(fileName);
     const [exists] = await file.exists();
 
+    // Los comprobantes son privados: se devuelve la ruta, nunca una URL pública
     if (exists) {
       const [metadata] = await file.getMetadata();
-      const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-
-      logger.info(context, 'Archivo ya existe en Storage', { fileName, publicUrl });
-      return { exists: true, url: publicUrl, metadata };
+      logger.info(context, 'Archivo ya existe en Storage', { fileName });
+      return { exists: true, path: fileName, metadata };
     }
 
     logger.info(context, 'Archivo no existe en Storage', { fileName });
-    return { exists: false, url: null };
+    return { exists: false, path: null };
 
   } catch (error) {
     logger.error(context, 'Error verificando existencia en Storage', error, { fileName });
-    return { exists: false, url: null, error: error.message };
+    return { exists: false, path: null, error: error.message };
   }
 }
 
-export async function uploadPDFToStorage(pdfPath, paymentId) {
+// ================================================================
+// 🔒 COMPROBANTES PRIVADOS EN STORAGE
+// ================================================================
+
+// Los comprobantes no son públicos: se descargan por /api/invoice/:paymentId (con sesión)
+// o con una URL firmada de corta duración
+export const APP_BASE_URL = (process.env.APP_BASE_URL || 'https://masitaprex.com').replace(/\/$/, '');
+const INVOICE_SIGNED_URL_TTL_MS = parseInt(process.env.INVOICE_SIGNED_URL_TTL_MS || '', 10) || 5 * 60 * 1000;
+
+/**
+ * Ruta del PDF en el bucket. Los pagos anteriores a los comprobantes privados
+ * solo guardaban la URL pública, pero el archivo sigue en la ruta por defecto.
+ */
+export function rutaPdfComprobante(pago, paymentId, { notaCredito = false } = {}) {
+  if (notaCredito) {
+    return pago.notaCreditoPath || (pago.notaCreditoUrl ? `invoices/nota_credito_${paymentId}.pdf` : null);
+  }
+  return pago.pdfPath || (pago.pdfUrl ? `invoices/${paymentId}.pdf` : null);
+}
+
+/**
+ * Enlace de descarga del comprobante para correos y respuestas al front-end.
+ * Exige sesión iniciada: quien no es dueño del pago recibe 404.
+ */
+export function enlaceComprobante(paymentId, { notaCredito = false, absoluto = false } = {}) {
+  const ruta = `/api/invoice/${encodeURIComponent(paymentId)}${notaCredito ? '?tipo=nota_credito' : ''}`;
+  return absoluto ? `${APP_BASE_URL}${ruta}` : ruta;
+}
+
+/**
+ * URL firmada (V4, solo lectura) para descargar un archivo privado del bucket
+ */
+export async function generarUrlFirmada(fileName, { nombreDescarga = null, ttlMs = INVOICE_SIGNED_URL_TTL_MS } = {}) {
+  const expiraEn = new Date(Date.now() + ttlMs);
+  const [url] = await bucket.file(fileName).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: expiraEn,
+    ...(nombreDescarga && { responseDisposition: `inline; filename="${nombreDescarga}"` })
+  });
+  return { url, expiraEn };
+}
+
+/**
+ * Sube el PDF (Buffer generado en memoria) al bucket y devuelve su ruta
+ */
+export async function uploadPDFToStorage(pdfBuffer, paymentId, fileName = `invoices/${paymentId}.pdf`) {
   const context = 'STORAGE_UPLOAD';
 
   if (!bucket) {
@@ -199,12 +309,10 @@ export async function uploadPDFToStorage(pdfPath, paymentId) {
   }
 
   try {
-    const fileName = `invoices/${paymentId}.pdf`;
-    
-    const [file] = await bucket.upload(pdfPath, {
-      destination: fileName,
+    await bucket.file(fileName).save(pdfBuffer, {
+      resumable: false,
+      contentType: 'application/pdf',
       metadata: {
-        contentType: 'application/pdf',
         metadata: {
           paymentId: paymentId,
           uploadedAt: new Date().toISOString()
@@ -212,11 +320,8 @@ export async function uploadPDFToStorage(pdfPath, paymentId) {
       }
     });
 
-    await file.makePublic();
-    const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-    
-    logger.info(context, '✅ PDF subido exitosamente a Storage', { fileName, publicUrl });
-    return publicUrl;
+    logger.info(context, '✅ PDF subido exitosamente a Storage (privado)', { fileName });
+    return fileName;
 
   } catch (error) {
     logger.error(context, '❌ Error subiendo PDF a Storage', error, { paymentId });
@@ -224,11 +329,48 @@ export async function uploadPDFToStorage(pdfPath, paymentId) {
   }
 }
 
+/**
+ * Sube el XML UBL junto al PDF. No se hace público: se sirve por /api/invoice/:paymentId/xml
+ * tras comprobar que el pago pertenece al usuario. Devuelve la ruta en el bucket.
+ */
+export async function uploadXMLToStorage(xml, paymentId, fileName = `invoices/${paymentId}.xml`) {
+  const context = 'STORAGE_UPLOAD_XML';
+
+  if (!bucket) {
+    logger.error(context, 'Firebase Storage no está inicializado');
+    return null;
+  }
+
+  try {
+    await bucket.file(fileName).save(xml, {
+      contentType: 'application/xml; charset=utf-8',
+      metadata: {
+        metadata: {
+          paymentId: paymentId,
+          uploadedAt: new Date().toISOString()
+        }
+      }
+    });
+
+    logger.info(context, '✅ XML subido exitosamente a Storage', { fileName });
+    return fileName;
+
+  } catch (error) {
+    logger.error(context, '❌ Error subiendo XML a Storage', error, { paymentId });
+    return null;
+  }
+}
+
 /**
  * Otorgar beneficios al usuario tras un pago exitoso
  * Ahora valida contra el planId y el mapa de precios seguro
+ * `opciones.cupon` es el código canjeado al cobrar: el monto esperado pasa a ser el precio con descuento
+ * `opciones.facturacion` ({ ruc, razonSocial, direccion }) emite factura F001 en lugar de boleta
+ * `opciones.proveedor` y `opciones.externalReference` identifican la pasarela y la orden del checkout
+ * `opciones.montoEsperado` es el monto que fijó el servidor al crear el cobro (orden, preferencia o
+ * comprobante); si viene, manda sobre el precio vigente del catálogo
  */
-export async function otorgarBeneficio(uid, email, montoPagado, processor, paymentRefString, resend, planId) {
+export async function otorgarBeneficio(uid, email, montoPagado, processor, paymentRefString, resend, planId, opciones = {}) {
   const context = 'OTORGAR_BENEFICIO';
   
   if (!db) {
@@ -236,63 +378,97 @@ export async function otorgarBeneficio(uid, email, montoPagado, processor, payme
     return { status: 'error', message: 'Database not available' };
   }
 
-  // Validación de Plan
-  const planSeguro = MAPA_PLANES[planId];
+  // Validación de Plan contra el catálogo (incluye planes ya retirados: el cobro ocurrió cuando estaban a la venta)
+  const planSeguro = await obtenerPlan(planId);
   if (!planSeguro) {
     logger.error(context, 'PlanId no válido', { planId, uid });
     return { status: 'error', message: 'Invalid Plan ID' };
   }
 
-  // Validación de Monto (Seguridad)
+  let canjeCupon = null;
+  if (opciones.cupon) {
+    canjeCupon = await resolverCuponDePago(opciones.cupon, planSeguro, { montoCobrado: opciones.montoEsperado ?? montoPagado });
+    if (!canjeCupon) {
+      logger.error(context, 'Cupón no válido para el pago', { planId, cupon: opciones.cupon, uid });
+      return { status: 'error', message: 'Invalid coupon' };
+    }
+  }
+
+  // Validación de Monto (Seguridad). Un cambio de precio entre el cobro y la aprobación
+  // no invalida el pago: se compara con el monto fijado al cobrar cuando se conoce
   const montoNum = Number(montoPagado);
-  if (Math.abs(montoNum - planSeguro.precio) > 0.01) {
+  const precioEsperado = opciones.montoEsperado != null
+    ? Number(opciones.montoEsperado)
+    : (canjeCupon ? canjeCupon.montoFinal : planSeguro.precio);
+  if (Math.abs(montoNum - precioEsperado) > 0.01) {
     logger.error(context, 'DISCREPANCIA DE MONTO DETECTADA', { 
       planId, 
       montoPagado: montoNum, 
-      precioEsperado: planSeguro.precio,
+      precioEsperado,
+      precioVigente: planSeguro.precio,
+      cupon: canjeCupon?.codigo,
       uid 
     });
     return { status: 'error', message: 'Payment amount mismatch' };
   }
 
-  try {
-    const lockAcquired = await acquirePaymentLock(paymentRefString);
-    if (!lockAcquired) {
-      return { status: 'error', message: 'Could not acquire payment lock' };
-    }
+  let lockToken = null;
 
+  try {
     if (processedPaymentsCache.has(paymentRefString)) {
       const cached = processedPaymentsCache.get(paymentRefString);
       logger.info(context, 'Pago ya procesado (Cache)', { paymentRef: paymentRefString, uid: cached.uid });
-      releasePaymentLock(paymentRefString);
       return { status: 'already_processed', ...cached };
     }
 
+    lockToken = await acquirePaymentLock(paymentRefString);
+    if (!lockToken) {
+      return { status: 'error', message: 'Could not acquire payment lock' };
+    }
+
     const pagoDoc = db.collection("pagos_registrados").doc(paymentRefString);
     const pagoSnap = await pagoDoc.get();
 
     if (pagoSnap.exists && pagoSnap.data().procesado) {
       logger.info(context, 'Pago ya procesado (Firestore)', { paymentRef: paymentRefString });
-      releasePaymentLock(paymentRefString);
-      return { status: 'already_processed', pdfUrl: pagoSnap.data().pdfUrl };
+      await releasePaymentLock(paymentRefString, lockToken);
+      const rutaPdf = rutaPdfComprobante(pagoSnap.data(), paymentRefString);
+      return { status: 'already_processed', pdfUrl: rutaPdf ? enlaceComprobante(paymentRefString) : null };
     }
 
-    if (!pagoSnap.exists) {
+    // El documento puede existir solo con el lease; se completan los datos iniciales
+    if (!pagoSnap.exists || !pagoSnap.data().fechaRegistro) {
       logger.info(context, 'Creando documento de pago inicial', { paymentRef: paymentRefString });
       await pagoDoc.set({
         email: email,
         monto: montoNum,
         uid: uid,
         planId: planId,
+        catalogoVersion: planSeguro.catalogoVersion,
+        ...(opciones.proveedor && { proveedor: opciones.proveedor }),
+        ...(opciones.externalReference && { externalReference: opciones.externalReference }),
+        ...(opciones.facturacion && { tipoComprobante: 'factura', datosFacturacion: opciones.facturacion }),
         estado: "pending",
         procesado: false,
         fechaRegistro: admin.firestore.FieldValue.serverTimestamp()
-      });
+      }, { merge: true });
     }
 
+    let comprobante = null;
+    let datosFacturacion = null;
     const result = await db.runTransaction(async (t) => {
       const userDoc = db.collection("usuarios").doc(uid);
-      const userSnap = await t.get(userDoc);
+      const [pagoTxSnap, userSnap] = await Promise.all([t.get(pagoDoc), t.get(userDoc)]);
+
+      // Fencing: si el lease expiró y otra instancia lo tomó, esta no debe otorgar nada
+      const pagoTx = pagoTxSnap.data() || {};
+      if (pagoTx.procesado) {
+        const rutaPdf = rutaPdfComprobante(pagoTx, paymentRefString);
+        return { status: 'already_processed', pdfUrl: rutaPdf ? enlaceComprobante(paymentRefString) : null };
+      }
+      if (pagoTx.lock?.token !== lockToken) {
+        throw new Error(`Lease del pago ${paymentRefString} perdido antes de otorgar el beneficio`);
+      }
 
       if (!userSnap.exists) {
         logger.warn(context, 'Usuario no encontrado en colección usuarios, buscando en empresas', { uid });
@@ -302,6 +478,19 @@ export async function otorgarBeneficio(uid, email, montoPagado, processor, payme
         }
       }
 
+      // Límites del cupón leídos en la transacción: otro pago simultáneo pudo agotarlo
+      const lecturaCupon = canjeCupon ? await leerCuponEnTransaccion(t, canjeCupon.codigo, uid) : null;
+
+      // El correlativo se asigna en esta misma transacción para no dejar huecos en la serie
+      datosFacturacion = pagoTx.datosFacturacion || opciones.facturacion || null;
+      const tipoComprobante = datosFacturacion ? 'factura' : 'boleta';
+      const serieSnap = await t.get(refSerie(tipoComprobante));
+      comprobante = asignarCorrelativo(t, pagoDoc, serieSnap, tipoComprobante);
+
+      const bonusCupon = canjeCupon
+        ? registrarCanjeCupon(t, pagoDoc, canjeCupon, { uid, paymentId: paymentRefString, origen: processor, lectura: lecturaCupon }).creditosBonus
+        : 0;
+
       const userData = userSnap.data() || {};
       const creditosActuales = userData.creditos || 0;
       const tipoPlanActual = userData.tipoPlan || "creditos";
@@ -352,13 +541,24 @@ export async function otorgarBeneficio(uid, email, montoPagado, processor, payme
 
       // 2. Lógica para Créditos
       if (planSeguro.tipo === 'creditos') {
-        creditosOtorgados = planSeguro.creditos + (planSeguro.bonus || 0);
-        const nuevosCreditos = creditosActuales + creditosOtorgados;
+        creditosOtorgados = planSeguro.creditos + (planSeguro.bonus || 0) + bonusCupon;
+
+        const { saldoPosterior: nuevosCreditos } = registrarMovimiento(t, userDoc, {
+          uid,
+          saldoAnterior: creditosActuales,
+          delta: creditosOtorgados,
+          motivo: 'compra_creditos',
+          idMovimiento: `compra_${paymentRefString}`,
+          referencia: paymentRefString,
+          origen: processor,
+          metadata: { planId, cupon: canjeCupon?.codigo || null }
+        });
 
         t.update(userDoc, {
-          creditos: nuevosCreditos,
           tipoPlan: "creditos",
-          ultimaCompra: admin.firestore.FieldValue.serverTimestamp()
+          ultimaCompra: admin.firestore.FieldValue.serverTimestamp(),
+          // El aviso de saldo bajo se basa en la última compra de créditos, no en la de un plan
+          ultimaCompraCreditos: admin.firestore.FieldValue.serverTimestamp()
         });
 
         t.update(pagoDoc, {
@@ -404,17 +604,32 @@ export async function otorgarBeneficio(uid, email, montoPagado, processor, payme
           fechaFinPlan = moment(ahora).add(diasNuevos, 'days').toDate();
         }
 
+        // Los créditos sueltos se anulan al activar el plan ilimitado; queda registrado en el ledger
+        if (creditosActuales > 0) {
+          registrarMovimiento(t, userDoc, {
+            uid,
+            saldoAnterior: creditosActuales,
+            delta: -creditosActuales,
+            motivo: 'conversion_plan_ilimitado',
+            idMovimiento: `plan_ilimitado_${paymentRefString}`,
+            referencia: paymentRefString,
+            origen: processor,
+            metadata: { planId }
+          });
+        }
+
         t.update(userDoc, {
           duracionDias: duracionTotalDias,
           planIlimitadoHasta: fechaFinPlan,
-          creditos: 0,
           tipoPlan: "ilimitado",
-          umbralConsultas: planSeguro.umbral,
+          // La cuota se suma al extender un plan vigente; una activación nueva empieza de cero
+          umbralConsultas: tienePlanIlimitadoActivo ? (userData.umbralConsultas || 0) + planSeguro.umbral : planSeguro.umbral,
+          consultasUsadas: tienePlanIlimitadoActivo ? (userData.consultasUsadas || 0) : 0,
           fechaActivacion: tienePlanIlimitadoActivo ? fechaActivacionActual : admin.firestore.FieldValue.serverTimestamp(),
           ultimaCompra: admin.firestore.FieldValue.serverTimestamp()
         });
 
-        planOtorgado = { dias: duracionTotalDias, diasAgregados: diasNuevos, fechaFin: fechaFinPlan };
+        planOtorgado = { dias: duracionTotalDias, diasAgregados: diasNuevos, fechaFin: fechaFinPlan, consultasAgregadas: planSeguro.umbral };
 
         t.update(pagoDoc, {
           descripcion,
@@ -437,6 +652,12 @@ export async function otorgarBeneficio(uid, email, montoPagado, processor, payme
       throw new Error(`Tipo de plan ${planSeguro.tipo} no reconocido`);
     });
 
+    if (result.status === 'already_processed') {
+      logger.info(context, 'Pago ya procesado (Transacción)', { paymentRef: paymentRefString });
+      await releasePaymentLock(paymentRefString, lockToken);
+      return result;
+    }
+
     // Generación de PDF y envío de correo (fuera de la transacción)
     try {
       const invoiceData = {
@@ -446,18 +667,16 @@ export async function otorgarBeneficio(uid, email, montoPagado, processor, payme
         amount: montoNum,
         credits: result.creditosOtorgados || 0,
         description: result.descripcion || 'Compra Consulta PE',
-        type: 'boleta'
+        type: comprobante.tipo,
+        serie: comprobante.serie,
+        correlativo: comprobante.correlativo,
+        cliente: datosFacturacion,
+        fechaEmision: comprobante.emitidoEn.toISOString()
       };
 
-      const pdfPath = await generateInvoicePDF(invoiceData);
-      const publicUrl = await uploadPDFToStorage(pdfPath, paymentRefString);
-
-      await pagoDoc.update({
-        pdfUrl: publicUrl,
-        invoiceData: invoiceData
-      });
+      const { pdfPath: pdfStoragePath } = await emitirComprobantePago(paymentRefString, invoiceData);
 
-      result.pdfUrl = publicUrl;
+      result.pdfUrl = pdfStoragePath ? enlaceComprobante(paymentRefString) : null;
 
       // Enviar correo de éxito automáticamente
       if (resend) {
@@ -482,29 +701,367 @@ export async function otorgarBeneficio(uid, email, montoPagado, processor, payme
           paymentRefString,
           montoNum,
           result.descripcion,
-          publicUrl,
+          pdfStoragePath ? enlaceComprobante(paymentRefString, { absoluto: true }) : null,
           resend
         ).catch(err => logger.error(context, 'Error en envío automático de email de éxito', err));
       }
 
-      // Limpiar archivo temporal
-      if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
-
     } catch (pdfError) {
       logger.error(context, 'Error generando/subiendo PDF', pdfError);
     }
 
     processedPaymentsCache.set(paymentRefString, { uid, ...result });
-    releasePaymentLock(paymentRefString);
+    await releasePaymentLock(paymentRefString, lockToken);
     return result;
 
   } catch (error) {
     logger.error(context, 'Error procesando beneficio', error, { uid, paymentRef: paymentRefString });
-    releasePaymentLock(paymentRefString);
+    if (lockToken) await releasePaymentLock(paymentRefString, lockToken);
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * Genera el XML y el PDF de la boleta/factura de un pago, los sube al bucket y guarda
+ * las rutas junto con `invoiceData` en el pago. Lo usan la aprobación y la regeneración.
+ */
+export async function emitirComprobantePago(paymentId, invoiceData, camposExtra = {}) {
+  // El XML se genera primero: su valor resumen se imprime en el PDF
+  const { xml, valorResumen } = buildInvoiceXML(invoiceData);
+  const datos = { ...invoiceData, valorResumen };
+  const xmlPath = await uploadXMLToStorage(xml, paymentId);
+
+  // Si la subida falla, pdfPath queda en null y la regeneración lo completa después
+  const pdfBuffer = await generateInvoicePDF(datos);
+  const pdfPath = await uploadPDFToStorage(pdfBuffer, paymentId);
+
+  await db.collection("pagos_registrados").doc(paymentId).update({
+    pdfPath,
+    xmlPath,
+    valorResumen,
+    invoiceData: datos,
+    ...camposExtra
+  });
+  return { pdfPath, xmlPath, valorResumen };
+}
+
+/**
+ * Datos de la nota de crédito que anula el comprobante de un pago revertido.
+ * El tipo es el mismo con el que se asignó el correlativo (tipoNotaCredito): FC01 con
+ * los datos del adquirente para facturas, BC01 para boletas.
+ */
+export function datosNotaCredito(pago, paymentRefString, notaCredito, estado) {
+  const motivoNota = estado === 'charged_back' ? 'Anulación por contracargo' : 'Devolución total';
+  return {
+    orderId: paymentRefString,
+    date: new Date().toLocaleString('es-PE'),
+    email: pago.email || 'cliente@example.com',
+    amount: pago.monto,
+    credits: 0,
+    description: `${motivoNota}: ${pago.descripcion || 'Compra Consulta PE'}`,
+    type: tipoNotaCredito(pago),
+    serie: notaCredito.serie,
+    correlativo: notaCredito.correlativo,
+    cliente: pago.datosFacturacion || null,
+    fechaEmision: notaCredito.emitidoEn.toISOString(),
+    documentoReferencia: numeroComprobantePago(pago, paymentRefString),
+    motivoNota
+  };
+}
+
+/**
+ * Revertir los beneficios de un pago reembolsado o con contracargo.
+ * Retira los créditos (hasta el saldo disponible) o recorta el plan otorgado
+ * y devuelve los créditos que anuló su activación, libera el canje del cupón,
+ * marca el pago como revertido, emite la nota de crédito y avisa al usuario.
+ * Idempotente: un pago ya revertido no se vuelve a tocar.
+ */
+export async function revertirBeneficio(paymentRefString, estado, resend) {
+  const context = 'REVERTIR_BENEFICIO';
+
+  if (!db) {
+    logger.error(context, 'Base de datos no disponible');
+    return { status: 'error', message: 'Database not available' };
+  }
+
+  let lockToken = null;
+
+  try {
+    lockToken = await acquirePaymentLock(paymentRefString);
+    if (!lockToken) {
+      return { status: 'error', message: 'Could not acquire payment lock' };
+    }
+
+    const pagoDoc = db.collection("pagos_registrados").doc(paymentRefString);
+
+    const result = await db.runTransaction(async (t) => {
+      const pagoSnap = await t.get(pagoDoc);
+      const pago = pagoSnap.exists ? pagoSnap.data() : {};
+
+      if (pago.revertido) {
+        return { status: 'already_reverted' };
+      }
+
+      // Si nunca se otorgó nada basta con dejar constancia del estado
+      if (!pago.procesado) {
+        t.set(pagoDoc, {
+          estado,
+          actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        return { status: 'not_granted' };
+      }
+
+      const { uid, tipoPlanNuevo, planOtorgado } = pago;
+      const userDoc = db.collection("usuarios").doc(uid);
+      const empresaDoc = db.collection("empresas").doc(uid);
+      // Movimiento con el que la activación del plan ilimitado anuló el saldo (si lo hubo)
+      const conversionRef = db.collection(COLECCION_MOVIMIENTOS).doc(`plan_ilimitado_${paymentRefString}`);
+      const [userSnap, empresaSnap, serieSnap, conversionSnap, lecturaCanje] = await Promise.all([
+        t.get(userDoc), t.get(empresaDoc), t.get(refSerie(tipoNotaCredito(pago))),
+        tipoPlanNuevo === 'ilimitado' ? t.get(conversionRef) : null,
+        pago.cupon?.codigo ? leerCanjeDePago(t, pago.cupon.codigo, paymentRefString) : null
+      ]);
+      const notaCredito = asignarCorrelativo(t, pagoDoc, serieSnap, tipoNotaCredito(pago), 'notaCredito');
+      const ahora = new Date();
+      const reversion = { estado, tipoPlan: tipoPlanNuevo };
+
+      if (tipoPlanNuevo === 'creditos') {
+        const saldoActual = userSnap.exists ? (userSnap.data().creditos || 0) : 0;
+        const creditosARetirar = Math.min(pago.creditosOtorgados || 0, saldoActual);
+
+        if (creditosARetirar > 0) {
+          registrarMovimiento(t, userDoc, {
+            uid,
+            saldoAnterior: saldoActual,
+            delta: -creditosARetirar,
+            motivo: estado === 'charged_back' ? 'contracargo' : 'reembolso',
+            idMovimiento: `reverso_compra_${paymentRefString}`,
+            referencia: paymentRefString,
+            origen: 'MP_REVERSO'
+          });
+        }
+
+        reversion.creditosRetirados = creditosARetirar;
+        reversion.creditosNoRecuperados = (pago.creditosOtorgados || 0) - creditosARetirar;
+        reversion.beneficioRetirado = `${creditosARetirar} créditos`;
+      }
+
+      if (tipoPlanNuevo === 'ilimitado' && userSnap.exists) {
+        const userData = userSnap.data();
+        const diasARestar = planOtorgado?.diasAgregados || planOtorgado?.dias || 0;
+        const finActual = userData.planIlimitadoHasta?.toDate() || ahora;
+        const nuevoFin = moment(finActual).subtract(diasARestar, 'days').toDate();
+        const planVigente = nuevoFin > ahora;
+
+        t.update(userDoc, {
+          planIlimitadoHasta: planVigente ? nuevoFin : ahora,
+          duracionDias: Math.max(0, (userData.duracionDias || 0) - diasARestar),
+          tipoPlan: planVigente ? "ilimitado" : "creditos",
+          ...(Number.isInteger(userData.umbralConsultas) && {
+            umbralConsultas: Math.max(0, userData.umbralConsultas - (planOtorgado?.consultasAgregadas || 0))
+          })
+        });
+
+        // Se devuelve el saldo que la activación anuló, con su asiento compensatorio en el ledger
+        const creditosAnulados = conversionSnap?.exists ? conversionSnap.data().monto || 0 : 0;
+        if (creditosAnulados > 0) {
+          registrarMovimiento(t, userDoc, {
+            uid,
+            saldoAnterior: userData.creditos || 0,
+            delta: creditosAnulados,
+            motivo: 'reverso_conversion_plan_ilimitado',
+            idMovimiento: `reverso_plan_ilimitado_${paymentRefString}`,
+            referencia: paymentRefString,
+            origen: 'MP_REVERSO'
+          });
+        }
+
+        reversion.diasRetirados = diasARestar;
+        reversion.nuevoFin = planVigente ? nuevoFin : ahora;
+        reversion.creditosRestituidos = creditosAnulados;
+        reversion.beneficioRetirado = `${diasARestar} días de plan ilimitado`;
+      }
+
+      if (tipoPlanNuevo === 'revenue_recovery' && empresaSnap.exists) {
+        const empresaData = empresaSnap.data();
+        const diasARestar = planOtorgado?.dias || 0;
+        const finActual = empresaData.planExpiry?.toDate() || ahora;
+        const nuevoFin = moment(finActual).subtract(diasARestar, 'days').toDate();
+        const planVigente = nuevoFin > ahora;
+
+        t.update(empresaDoc, {
+          planExpiry: planVigente ? nuevoFin : ahora,
+          planStatus: planVigente ? empresaData.planStatus : 'cancelled',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        reversion.diasRetirados = diasARestar;
+        reversion.nuevoFin = planVigente ? nuevoFin : ahora;
+        reversion.beneficioRetirado = `${diasARestar} días de ${planOtorgado?.planName || 'Revenue Recovery OS'}`;
+      }
+
+      if (lecturaCanje && liberarCanjeCupon(t, lecturaCanje)) {
+        reversion.cuponLiberado = pago.cupon.codigo;
+      }
+
+      t.update(pagoDoc, {
+        estado,
+        revertido: true,
+        revertidoEn: admin.firestore.FieldValue.serverTimestamp(),
+        reversion
+      });
+
+      return { status: 'reverted', reversion, pago, notaCredito };
+    });
+
+    if (result.status !== 'reverted') {
+      logger.info(context, 'Sin reversión que aplicar', { paymentRef: paymentRefString, status: result.status });
+      await releasePaymentLock(paymentRefString, lockToken);
+      return { status: result.status };
+    }
+
+    const { pago, reversion, notaCredito } = result;
+    logger.warn(context, 'Beneficio revertido', { paymentRef: paymentRefString, uid: pago.uid, estado, reversion });
+
+    // Nota de crédito y aviso al usuario (fuera de la transacción)
+    try {
+      const notaData = datosNotaCredito(pago, paymentRefString, notaCredito, estado);
+      const { motivoNota } = notaData;
+
+      const { xml, valorResumen } = buildInvoiceXML(notaData);
+      notaData.valorResumen = valorResumen;
+      const notaCreditoXmlPath = await uploadXMLToStorage(xml, paymentRefString, `invoices/nota_credito_${paymentRefString}.xml`);
+
+      const pdfBuffer = await generateInvoicePDF(notaData);
+      const notaCreditoPath = await uploadPDFToStorage(pdfBuffer, paymentRefString, `invoices/nota_credito_${paymentRefString}.pdf`);
+
+      await pagoDoc.update({ notaCreditoPath, notaCreditoXmlPath, notaCreditoData: notaData });
+
+      if (resend && pago.email) {
+        const nombreUsuario = await obtenerNombreUsuario(pago.uid, pago.email, reversion.tipoPlan === 'revenue_recovery');
+        enviarCorreoReverso(
+          pago.email,
+          nombreUsuario,
+          paymentRefString,
+          pago.monto,
+          pago.descripcion,
+          motivoNota,
+          reversion.beneficioRetirado,
+          notaCreditoPath ? enlaceComprobante(paymentRefString, { notaCredito: true, absoluto: true }) : null,
+          resend
+        ).catch(err => logger.error(context, 'Error enviando correo de reversión', err));
+      }
+    } catch (pdfError) {
+      logger.error(context, 'Error generando nota de crédito', pdfError, { paymentRef: paymentRefString });
+    }
+
+    processedPaymentsCache.delete(paymentRefString);
+    await releasePaymentLock(paymentRefString, lockToken);
+    return { status: 'reverted', reversion };
+
+  } catch (error) {
+    logger.error(context, 'Error revirtiendo beneficio', error, { paymentRef: paymentRefString });
+    if (lockToken) await releasePaymentLock(paymentRefString, lockToken);
     return { status: 'error', message: error.message };
   }
 }
 
+/**
+ * Obtiene el nombre a mostrar del usuario (usuarios o empresas) para los correos
+ */
+export async function obtenerNombreUsuario(uid, email, preferirEmpresas = false) {
+  let nombre = email ? email.split('@')[0] : 'Cliente';
+  if (!db || !uid) return nombre;
+
+  try {
+    const colecciones = preferirEmpresas ? ['empresas', 'usuarios'] : ['usuarios', 'empresas'];
+    for (const coleccion of colecciones) {
+      const snap = await db.collection(coleccion).doc(uid).get();
+      if (snap.exists) {
+        const data = snap.data();
+        return data.name || data.displayName || data.nombre || nombre;
+      }
+    }
+  } catch (error) {
+    logger.error('NOMBRE_USUARIO', 'Error obteniendo nombre del usuario', error, { uid });
+  }
+  return nombre;
+}
+
+// ================================================================
+// 📥 AUDITORÍA DE WEBHOOKS
+// ================================================================
+
+export const COLECCION_WEBHOOK_EVENTOS = "webhook_eventos";
+
+/**
+ * Guarda cada entrega de webhook con el resultado de su verificación.
+ * Las entregas con firma válida usan la firma como ID: si ya existe y se procesó, es un replay;
+ * si nunca llegó a procesarse, es un reintento de la pasarela y se procesa de nuevo.
+ */
+export async function registrarEventoWebhook(proveedor, { requestId, dataId, tipo, verificacion, ip, body }) {
+  const context = 'WEBHOOK_EVENTO';
+
+  if (!db) {
+    logger.error(context, 'Base de datos no disponible');
+    return { registrado: false, replay: false };
+  }
+
+  const coleccion = db.collection(COLECCION_WEBHOOK_EVENTOS);
+  const eventoRef = verificacion.valido
+    ? coleccion.doc(`${proveedor}_${crypto.createHash('sha256').update(verificacion.v1).digest('hex')}`)
+    : coleccion.doc();
+
+  const registro = {
+    proveedor,
+    requestId: requestId || null,
+    dataId: dataId ? String(dataId) : null,
+    tipo: tipo || null,
+    verificado: verificacion.valido,
+    motivoRechazo: verificacion.motivo || null,
+    tsFirma: verificacion.ts || null,
+    ip,
+    body: JSON.stringify(body || {}).slice(0, 5000),
+    recibidoEn: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  try {
+    await eventoRef.create(registro);
+    return { registrado: true, replay: false, eventoId: eventoRef.id };
+  } catch (error) {
+    // ALREADY_EXISTS: la misma firma ya fue recibida antes
+    if (error.code === 6) {
+      const original = await eventoRef.get();
+      if (!original.data()?.procesado) {
+        await eventoRef.update({
+          reintentos: admin.firestore.FieldValue.increment(1),
+          ultimoReintentoEn: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { registrado: true, replay: false, reintento: true, eventoId: eventoRef.id };
+      }
+      await coleccion.add({ ...registro, verificado: false, motivoRechazo: 'replay', eventoOriginal: eventoRef.id });
+      return { registrado: true, replay: true, eventoId: eventoRef.id };
+    }
+    logger.error(context, 'Error registrando evento de webhook', error, { proveedor, requestId });
+    return { registrado: false, replay: false };
+  }
+}
+
+/**
+ * Actualiza el resultado del procesamiento de un evento ya registrado
+ */
+export async function actualizarEventoWebhook(eventoId, datos) {
+  if (!db || !eventoId) return;
+  try {
+    await db.collection(COLECCION_WEBHOOK_EVENTOS).doc(eventoId).update({
+      ...datos,
+      actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    logger.error('WEBHOOK_EVENTO', 'Error actualizando evento de webhook', error, { eventoId });
+  }
+}
+
 // ================================================================
 // 📧 FUNCIONES DE ENVÍO DE CORREOS ELECTRÓNICOS
 // ================================================================
@@ -514,6 +1071,8 @@ function readHtmlTemplate(templateName, replacements = {}) {
   const templatePath = path.join(__dirname, 'emails', templateName);
   try {
     let html = fs.readFileSync(templatePath, 'utf8');
+    // Bloques {{#if clave}}...{{/if}}: se conservan solo si la clave es verdadera
+    html = html.replace(/{{#if (\w+)}}([\s\S]*?){{\/if}}/g, (_, key, contenido) => (replacements[key] ? contenido : ''));
     for (const [key, value] of Object.entries(replacements)) {
       const regex = new RegExp(`{{${key}}}`, 'g');
       html = html.replace(regex, value);
@@ -650,6 +1209,81 @@ export async function enviarCorreoExito(email, nombre, orderId, monto, descripci
   }
 }
 
+/**
+ * Envía el correo de estado de la suscripción (plantilla notificacion-estado-suscripcion.html).
+ * `estado.tipo`: 'creditos' (saldo bajo), 'ilimitado' o 'revenue_recovery' (vencimiento próximo)
+ * y 'vencido' (el plan ya terminó).
+ */
+export async function enviarCorreoEstadoSuscripcion(email, nombre, estado, resend) {
+  const context = 'EMAIL_ESTADO_SUSCRIPCION';
+  try {
+    const html = readHtmlTemplate('notificacion-estado-suscripcion.html', {
+      nombre: nombre || email.split('@')[0],
+      plan_creditos: estado.tipo === 'creditos',
+      plan_ilimitado: estado.tipo === 'ilimitado',
+      plan_empresa: estado.tipo === 'revenue_recovery',
+      plan_vencido: estado.tipo === 'vencido',
+      nombre_plan: estado.nombrePlan || 'Revenue Recovery OS',
+      creditos_restantes: String(estado.creditosRestantes ?? 0),
+      dias_restantes: String(estado.diasRestantes ?? 0),
+      fecha_vencimiento: estado.fechaVencimiento
+        ? moment(estado.fechaVencimiento).tz('America/Lima').format('DD/MM/YYYY hh:mm A')
+        : '-'
+    });
+
+    const asuntos = {
+      creditos: 'Te quedan pocos créditos - Masitaprex',
+      vencido: 'Tu plan ha vencido - Masitaprex'
+    };
+    const subject = asuntos[estado.tipo] ||
+      `Tu plan vence en ${estado.diasRestantes} ${estado.diasRestantes === 1 ? 'día' : 'días'} - Masitaprex`;
+
+    const { data, error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM || 'Masitaprex <noreply@masitaprex.com>',
+      to: email,
+      subject,
+      html: html
+    });
+    if (error) throw new Error(error.message);
+    logger.info(context, 'Correo de estado de suscripción enviado', { email, tipo: estado.tipo, messageId: data?.id });
+    return { success: true, messageId: data?.id };
+  } catch (error) {
+    logger.error(context, 'Error enviando correo de estado de suscripción', { email, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Envía correo de reembolso/contracargo con la nota de crédito
+ */
+export async function enviarCorreoReverso(email, nombre, orderId, monto, descripcion, motivo, beneficioRetirado, urlNotaCredito, resend) {
+  const context = 'EMAIL_REVERSO';
+  try {
+    const html = readHtmlTemplate('reembolso-nota-credito.html', {
+      nombre: nombre || email.split('@')[0],
+      descripcion: descripcion || 'Compra en Consulta PE',
+      orderId: orderId,
+      monto: monto.toString(),
+      motivo: motivo,
+      beneficio_retirado: beneficioRetirado || '-',
+      url_nota_credito: urlNotaCredito || '#'
+    });
+
+    const { data, error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM || 'Masitaprex Facturación <facturacion@masitaprex.com>',
+      to: email,
+      subject: 'Tu pago fue revertido - Nota de crédito Consulta PE',
+      html: html
+    });
+    if (error) throw new Error(error.message);
+    logger.info(context, 'Correo de reversión enviado', { email, orderId, messageId: data?.id });
+    return { success: true, messageId: data?.id };
+  } catch (error) {
+    logger.error(context, 'Error enviando correo de reversión', { email, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Envía correo de soporte al administrador (o a la dirección configurada)
  */
@@ -684,59 +1318,3 @@ export async function enviarCorreoSoporte({ name, email, subject, message, times
     return { success: false, error: error.message };
   }
 }
-
-// ================================================================
-// 🚀 WEBHOOK DE MERCADO PAGO (VALIDACIÓN OBLIGATORIA)
-// ================================================================
-
-export async function handleMercadoPagoWebhook(req, res) {
-  const context = 'MP_WEBHOOK';
-  const { type, data } = req.body;
-
-  if (type !== 'payment') {
-    return res.status(200).send('OK');
-  }
-
-  const paymentId = data.id;
-  logger.info(context, 'Recibido webhook de pago', { paymentId });
-
-  try {
-    const mpClient = new MercadoPagoConfig({ accessToken: process.env.MP_ACCESS_TOKEN });
-    const payment = new Payment(mpClient);
-    const paymentData = await payment.get({ id: paymentId });
-
-    if (paymentData.status === 'approved') {
-      const { external_reference, transaction_amount, metadata } = paymentData;
-      
-      // El external_reference suele contener el UID del usuario
-      // El planId debe venir en metadata si lo configuramos en el checkout
-      const uid = external_reference || metadata.user_id;
-      const planId = metadata.plan_id;
-      const email = paymentData.payer.email;
-
-      if (!uid || !planId) {
-        logger.error(context, 'Datos incompletos en el pago', { paymentId, uid, planId });
-        return res.status(400).send('Incomplete payment data');
-      }
-
-      const result = await otorgarBeneficio(
-        uid, 
-        email, 
-        transaction_amount, 
-        'MercadoPago_Webhook', 
-        paymentId.toString(), 
-        false, 
-        planId
-      );
-
-      logger.info(context, 'Beneficio procesado vía Webhook', { paymentId, result });
-      return res.status(200).json(result);
-    }
-
-    return res.status(200).send('Payment not approved');
-
-  } catch (error) {
-    logger.error(context, 'Error en Webhook Mercado Pago', error);
-    return res.status(500).send('Internal Server Error');
-  }
-}
@@ -0,0 +1,170 @@
+import admin from "firebase-admin";
+import {
+  db,
+  otorgarBeneficio,
+  revertirBeneficio,
+  enviarCorreoRechazo,
+  obtenerNombreUsuario
+} from './negocios.js';
+import { obtenerPlan } from './catalogoPlanes.js';
+import { PREFIJO_REFERENCIA_PREFERENCIA } from './proveedoresPago.js';
+import { logger } from './seguridad.js';
+
+// ================================================================
+// 🔔 PROCESADOR ÚNICO DE PAGOS (CUALQUIER PASARELA)
+// ================================================================
+
+export const ESTADOS_RECHAZO = ['rejected', 'cancelled'];
+export const ESTADOS_REVERSO = ['refunded', 'charged_back'];
+export const ESTADOS_EN_PROCESO = ['in_process', 'pending', 'authorized'];
+
+/**
+ * Guarda el estado no aprobado de un pago sin pisar uno ya procesado.
+ * Devuelve false si el pago ya estaba otorgado y el estado no es un reverso.
+ */
+async function registrarEstadoPago(paymentId, estado, { uid, planId, email, monto, detalleEstado, proveedor, externalReference }) {
+  if (!db) return false;
+
+  const pagoDoc = db.collection("pagos_registrados").doc(paymentId);
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(pagoDoc);
+    const actual = snap.exists ? snap.data() : {};
+
+    if (actual.procesado && !ESTADOS_REVERSO.includes(estado)) return false;
+
+    t.set(pagoDoc, {
+      uid: actual.uid || uid,
+      email: actual.email || email,
+      planId: actual.planId || planId,
+      monto: actual.monto ?? monto,
+      proveedor: actual.proveedor || proveedor || null,
+      externalReference: actual.externalReference || externalReference || null,
+      estado,
+      statusDetail: detalleEstado || null,
+      actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return true;
+  });
+}
+
+/**
+ * Marca el correo de rechazo como enviado; devuelve false si ya se había enviado
+ */
+async function reclamarCorreoRechazo(paymentId) {
+  if (!db) return true;
+
+  const pagoDoc = db.collection("pagos_registrados").doc(paymentId);
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(pagoDoc);
+    if (snap.exists && snap.data().correoRechazoEnviado) return false;
+    t.set(pagoDoc, { correoRechazoEnviado: true }, { merge: true });
+    return true;
+  });
+}
+
+/**
+ * Checkout Pro: el documento pendiente de la preferencia (id = externalReference) queda
+ * resuelto con el estado y el id del pago real. Un pago aprobado no se pisa con otro intento.
+ */
+async function vincularPreferencia(pago) {
+  if (!db) return;
+
+  const preferenciaDoc = db.collection("pagos_registrados").doc(pago.externalReference);
+  await db.runTransaction(async (t) => {
+    const snap = await t.get(preferenciaDoc);
+    if (!snap.exists) return;
+    const actual = snap.data();
+    if (actual.estado === 'approved' && actual.paymentId && actual.paymentId !== pago.paymentId) return;
+
+    t.update(preferenciaDoc, {
+      estado: pago.estado,
+      paymentId: pago.paymentId,
+      resueltaEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+export const accionesPorDefecto = {
+  otorgarBeneficio,
+  revertirBeneficio,
+  enviarCorreoRechazo,
+  obtenerNombreUsuario,
+  registrarEstadoPago,
+  reclamarCorreoRechazo,
+  vincularPreferencia
+};
+
+/**
+ * Aplica las consecuencias de un pago normalizado (ver proveedoresPago.js) según su estado.
+ * `acciones` permite sustituir los efectos (Firestore, correos) en pruebas.
+ */
+export async function procesarPago(pago, { resend, origen, acciones = accionesPorDefecto } = {}) {
+  const resultado = await aplicarPago(pago, { resend, origen, acciones });
+
+  const esPreferencia = pago.externalReference?.startsWith(PREFIJO_REFERENCIA_PREFERENCIA) && pago.externalReference !== pago.paymentId;
+  if (esPreferencia && resultado.status !== 'error' && acciones.vincularPreferencia) {
+    await acciones.vincularPreferencia(pago).catch(err =>
+      logger.error('PROCESAR_PAGO', 'Error vinculando la preferencia con el pago', err, { paymentId: pago.paymentId, externalReference: pago.externalReference }));
+  }
+  return resultado;
+}
+
+async function aplicarPago(pago, { resend, origen, acciones }) {
+  const context = 'PROCESAR_PAGO';
+  const { paymentId, estado, uid, planId, email, monto, cupon, facturacion } = pago;
+
+  logger.info(context, 'Procesando pago', { paymentId, proveedor: pago.proveedor, estado, origen, uid, planId });
+
+  if (estado === 'approved') {
+    if (!uid || !planId) {
+      logger.error(context, 'Datos insuficientes en pago aprobado', { paymentId, uid, planId });
+      return { status: 'error', message: 'Incomplete payment data' };
+    }
+    return acciones.otorgarBeneficio(uid, email, monto, origen, paymentId, resend, planId, {
+      cupon,
+      facturacion,
+      proveedor: pago.proveedor,
+      externalReference: pago.externalReference,
+      montoEsperado: pago.montoEsperado ?? null
+    });
+  }
+
+  if (ESTADOS_RECHAZO.includes(estado)) {
+    await acciones.registrarEstadoPago(paymentId, estado, pago);
+
+    if (email && uid && resend && await acciones.reclamarCorreoRechazo(paymentId)) {
+      const userName = await acciones.obtenerNombreUsuario(uid, email, (await obtenerPlan(planId))?.tipo === 'revenue_recovery');
+      acciones.enviarCorreoRechazo(
+        email,
+        userName,
+        paymentId,
+        monto,
+        pago.descripcion || 'Compra en Consulta PE',
+        pago.detalleEstado || estado,
+        resend
+      ).catch(err => logger.error(context, 'Error enviando correo de rechazo', err));
+    }
+    return { status: estado };
+  }
+
+  if (ESTADOS_REVERSO.includes(estado)) {
+    logger.warn(context, 'Pago revertido por la pasarela', { paymentId, proveedor: pago.proveedor, estado, uid, planId });
+    return acciones.revertirBeneficio(paymentId, estado, resend);
+  }
+
+  if (ESTADOS_EN_PROCESO.includes(estado)) {
+    await acciones.registrarEstadoPago(paymentId, 'in_process', pago);
+    return { status: 'in_process' };
+  }
+
+  logger.warn(context, 'Estado de pago no contemplado', { paymentId, estado });
+  return { status: 'ignored', estado };
+}
+
+/**
+ * Obtiene el pago desde la pasarela (proveedor inyectable) y lo procesa
+ */
+export async function procesarNotificacionPago(pagoId, { proveedor, resend, origen, acciones = accionesPorDefecto }) {
+  const pago = await proveedor.obtenerPago(pagoId);
+  return procesarPago(pago, { resend, origen, acciones });
+}
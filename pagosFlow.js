@@ -0,0 +1,269 @@
+import admin from "firebase-admin";
+import crypto from "crypto";
+import axios from "axios";
+import { db } from './negocios.js';
+import { procesarPago } from './notificacionesPago.js';
+import { logger, firmarParametrosFlow } from './seguridad.js';
+
+// ================================================================
+// 🌎 PASARELA FLOW
+// ================================================================
+
+// ordenes_flow/{commerceOrder}: quién compra qué; Flow solo devuelve el commerceOrder y el monto
+export const COLECCION_ORDENES_FLOW = "ordenes_flow";
+
+// payment/getStatus: 1 pendiente, 2 pagada, 3 rechazada, 4 anulada
+export const ESTADOS_FLOW = { 1: 'pending', 2: 'approved', 3: 'rejected', 4: 'cancelled' };
+
+const TIMEOUT_FLOW_MS = 15000;
+// Las órdenes sin confirmación se consultan a Flow mientras sigan vivas
+const ANTIGUEDAD_MINIMA_SONDEO_MS = 2 * 60 * 1000;
+const ANTIGUEDAD_MAXIMA_SONDEO_MS = 24 * 60 * 60 * 1000;
+export const INTERVALO_SONDEO_FLOW_MS = Number(process.env.FLOW_POLL_INTERVAL_MS) || 5 * 60 * 1000;
+
+/**
+ * Credenciales y URL de la API (FLOW_API_URL apunta al sandbox o al servidor simulado)
+ */
+export function configFlow() {
+  return {
+    apiUrl: (process.env.FLOW_API_URL || 'https://www.flow.cl/api').replace(/\/$/, ''),
+    apiKey: process.env.FLOW_API_KEY,
+    secretKey: process.env.FLOW_SECRET_KEY,
+    moneda: process.env.FLOW_CURRENCY || 'PEN'
+  };
+}
+
+export function flowConfigurado(config = configFlow()) {
+  return Boolean(config.apiKey && config.secretKey);
+}
+
+// El pago aprobado se registra como flow_{flowOrder} en pagos_registrados
+export function idPagoFlow(flowOrder) {
+  return `flow_${flowOrder}`;
+}
+
+/**
+ * Llama a un servicio de la API de Flow con los parámetros firmados (apiKey + s)
+ */
+export async function llamarFlow(metodo, servicio, params, { config = configFlow(), http = axios } = {}) {
+  const firmados = { ...params, apiKey: config.apiKey };
+  firmados.s = firmarParametrosFlow(firmados, config.secretKey);
+  const url = `${config.apiUrl}/${servicio}`;
+
+  try {
+    const { data } = metodo === 'GET'
+      ? await http.get(url, { params: firmados, timeout: TIMEOUT_FLOW_MS })
+      : await http.post(url, new URLSearchParams(firmados).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: TIMEOUT_FLOW_MS
+      });
+    return data;
+  } catch (error) {
+    // Flow responde los errores de negocio como { code, message }
+    const detalle = error.response?.data?.message || error.message;
+    throw new Error(`Flow ${servicio}: ${detalle}`);
+  }
+}
+
+/**
+ * Crea la orden de pago en Flow y devuelve la URL a la que se redirige al usuario.
+ * El monto sale del catálogo (y del cupón ya validado), nunca del navegador.
+ */
+export async function crearOrdenFlow(uid, email, { plan, canje = null, datosFacturacion = null, urlConfirmacion, urlRetorno }, opciones = {}) {
+  const context = 'FLOW_CREAR_ORDEN';
+  const config = opciones.config || configFlow();
+
+  if (!db) return { status: 'error', message: 'Database not available' };
+  if (!flowConfigurado(config)) return { status: 'error', message: 'Flow no configurado' };
+
+  const commerceOrder = `${Date.now()}${crypto.randomBytes(4).toString('hex')}`;
+  const monto = canje ? canje.montoFinal : plan.precio;
+  const ordenRef = db.collection(COLECCION_ORDENES_FLOW).doc(commerceOrder);
+
+  // La orden se guarda antes de llamar a Flow: una confirmación nunca llega sin orden conocida
+  await ordenRef.create({
+    uid,
+    email,
+    planId: plan.id,
+    catalogoVersion: plan.catalogoVersion,
+    monto,
+    moneda: config.moneda,
+    cupon: canje?.codigo || null,
+    datosFacturacion,
+    estado: 'creada',
+    creadoEn: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  try {
+    const respuesta = await llamarFlow('POST', 'payment/create', {
+      commerceOrder,
+      subject: `Compra Consulta PE: ${plan.descripcion || plan.id}`,
+      currency: config.moneda,
+      amount: monto,
+      email,
+      urlConfirmation: urlConfirmacion,
+      urlReturn: urlRetorno,
+      optional: JSON.stringify({ uid, planId: plan.id })
+    }, { config, http: opciones.http });
+
+    await ordenRef.update({
+      token: respuesta.token,
+      flowOrder: respuesta.flowOrder,
+      actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(context, 'Orden creada en Flow', { commerceOrder, flowOrder: respuesta.flowOrder, uid, planId: plan.id });
+    return {
+      status: 'success',
+      commerceOrder,
+      flowOrder: respuesta.flowOrder,
+      url: `${respuesta.url}?token=${respuesta.token}`
+    };
+  } catch (error) {
+    await ordenRef.update({ estado: 'error', error: error.message });
+    logger.error(context, 'Error creando orden en Flow', error, { commerceOrder, uid });
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * Estado de un pago en Flow a partir del token de la confirmación o del retorno
+ */
+export function consultarEstadoFlow(token, opciones = {}) {
+  return llamarFlow('GET', 'payment/getStatus', { token }, opciones);
+}
+
+/**
+ * Estado de un pago en Flow a partir de nuestro commerceOrder (para el sondeo)
+ */
+export function consultarEstadoFlowPorOrden(commerceOrder, opciones = {}) {
+  return llamarFlow('GET', 'payment/getStatusByCommerceId', { commerceId: commerceOrder }, opciones);
+}
+
+/**
+ * Convierte el estado de payment/getStatus en un pago normalizado (ver proveedoresPago.js).
+ * Flow solo conoce el commerceOrder: comprador, plan y cupón salen de la orden guardada.
+ */
+export function normalizarPagoFlow(estadoFlow, orden) {
+  return {
+    proveedor: 'flow',
+    paymentId: idPagoFlow(estadoFlow.flowOrder),
+    estado: ESTADOS_FLOW[estadoFlow.status] || 'unknown',
+    detalleEstado: null,
+    monto: Number(estadoFlow.amount),
+    montoEsperado: orden.monto,
+    moneda: estadoFlow.currency || orden.moneda,
+    uid: orden.uid,
+    planId: orden.planId,
+    email: orden.email,
+    cupon: orden.cupon || null,
+    facturacion: orden.datosFacturacion || null,
+    externalReference: String(estadoFlow.commerceOrder),
+    descripcion: estadoFlow.subject || 'Compra en Consulta PE (Flow)',
+    original: estadoFlow
+  };
+}
+
+/**
+ * Aplica el estado devuelto por payment/getStatus con el mismo procesador que los
+ * pagos de Mercado Pago: otorga el plan si está pagado o registra el rechazo.
+ * La orden solo cambia de estado si el procesamiento terminó bien; si falla sigue
+ * pendiente para que la confirmación, el retorno o el sondeo lo intenten de nuevo.
+ */
+export async function procesarEstadoFlow(estadoFlow, { resend, origen = 'FLOW', acciones } = {}) {
+  const context = 'FLOW_PROCESAR';
+  const { commerceOrder, flowOrder } = estadoFlow;
+
+  const ordenRef = db.collection(COLECCION_ORDENES_FLOW).doc(String(commerceOrder));
+  const ordenSnap = await ordenRef.get();
+  if (!ordenSnap.exists) {
+    logger.error(context, 'Orden de Flow desconocida', { commerceOrder, flowOrder, status: estadoFlow.status });
+    return { status: 'not_found', message: 'Orden no encontrada' };
+  }
+
+  const orden = ordenSnap.data();
+  const pago = normalizarPagoFlow(estadoFlow, orden);
+
+  // Flow no cobra en otra moneda que la de la orden; si no coincide, el monto no es comparable
+  if (pago.moneda !== orden.moneda) {
+    logger.error(context, 'Moneda distinta a la de la orden', { commerceOrder, moneda: pago.moneda, esperada: orden.moneda });
+    return { status: 'error', message: 'Currency mismatch' };
+  }
+
+  const resultado = await procesarPago(pago, { resend, origen, ...(acciones && { acciones }) });
+  if (resultado.status === 'error') {
+    logger.error(context, 'No se pudo procesar el pago de Flow', { commerceOrder, flowOrder, estado: pago.estado, message: resultado.message });
+    await ordenRef.update({ ultimoError: resultado.message || 'error', actualizadoEn: admin.firestore.FieldValue.serverTimestamp() });
+    return resultado;
+  }
+
+  await ordenRef.update({
+    estado: pago.estado,
+    paymentId: pago.paymentId,
+    ultimoError: null,
+    actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return resultado;
+}
+
+/**
+ * Consulta a Flow y procesa el resultado (confirmación, retorno del usuario o sondeo)
+ */
+export async function sincronizarPagoFlow({ token = null, commerceOrder = null }, { resend, origen = 'FLOW', config, http } = {}) {
+  const estadoFlow = token
+    ? await consultarEstadoFlow(token, { config, http })
+    : await consultarEstadoFlowPorOrden(commerceOrder, { config, http });
+  const resultado = await procesarEstadoFlow(estadoFlow, { resend, origen });
+  return { estadoFlow, resultado };
+}
+
+/**
+ * Orden de Flow por el token del retorno del usuario (uid y plan para volver al checkout)
+ */
+export async function obtenerOrdenFlowPorToken(token) {
+  const snap = await db.collection(COLECCION_ORDENES_FLOW).where('token', '==', String(token)).limit(1).get();
+  if (snap.empty) return null;
+  return { commerceOrder: snap.docs[0].id, ...snap.docs[0].data() };
+}
+
+/**
+ * Consulta a Flow las órdenes que siguen sin confirmar (la confirmación puede no llegar)
+ */
+export async function sondearOrdenesFlowPendientes(resend) {
+  const context = 'FLOW_SONDEO';
+  if (!db || !flowConfigurado()) return { revisadas: 0 };
+
+  const ahora = Date.now();
+  const snap = await db.collection(COLECCION_ORDENES_FLOW)
+    .where('estado', 'in', ['creada', 'pending'])
+    .where('creadoEn', '<=', new Date(ahora - ANTIGUEDAD_MINIMA_SONDEO_MS))
+    .where('creadoEn', '>=', new Date(ahora - ANTIGUEDAD_MAXIMA_SONDEO_MS))
+    .limit(100)
+    .get();
+
+  let revisadas = 0;
+  for (const doc of snap.docs) {
+    if (!doc.data().flowOrder) continue;
+    try {
+      await sincronizarPagoFlow({ commerceOrder: doc.id }, { resend, origen: 'FLOW_SONDEO' });
+      revisadas++;
+    } catch (error) {
+      logger.error(context, 'Error consultando orden de Flow', error, { commerceOrder: doc.id });
+    }
+  }
+
+  if (revisadas) logger.info(context, 'Órdenes de Flow sondeadas', { revisadas });
+  return { revisadas };
+}
+
+/**
+ * Programa el sondeo de órdenes pendientes (solo si Flow está configurado)
+ */
+export function iniciarSondeoFlow(resend) {
+  if (!flowConfigurado()) return null;
+  const timer = setInterval(() => {
+    sondearOrdenesFlowPendientes(resend).catch(err => logger.error('FLOW_SONDEO', 'Error en el sondeo', err));
+  }, INTERVALO_SONDEO_FLOW_MS);
+  timer.unref();
+  return timer;
+}
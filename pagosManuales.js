@@ -0,0 +1,283 @@
+import admin from "firebase-admin";
+import {
+  db,
+  bucket,
+  otorgarBeneficio,
+  enviarCorreoRechazo,
+  obtenerNombreUsuario
+} from './negocios.js';
+import { obtenerPlan } from './catalogoPlanes.js';
+import { validarCupon } from './cupones.js';
+import { logger } from './seguridad.js';
+
+// ================================================================
+// 📲 PAGOS MANUALES CON YAPE / PLIN (COLA DE REVISIÓN)
+// ================================================================
+
+// pagos_manuales/{billetera}_{numeroOperacion}: un número de operación solo puede enviarse una vez
+export const COLECCION_PAGOS_MANUALES = "pagos_manuales";
+export const BILLETERAS_MANUALES = ['yape', 'plin'];
+export const TAMANO_MAXIMO_VOUCHER = 5 * 1024 * 1024;
+const MAX_VOUCHERS_PENDIENTES = 3;
+
+// Tipos aceptados y su firma (magic bytes): no se confía en el Content-Type del navegador
+export const TIPOS_ARCHIVO_VOUCHER = {
+  'image/jpeg': { extension: 'jpg', firma: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: 'png', firma: (b) => b.subarray(0, 4).toString('latin1') === '\x89PNG' },
+  'image/webp': { extension: 'webp', firma: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  'application/pdf': { extension: 'pdf', firma: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' }
+};
+
+/**
+ * Datos para transferir por Yape/Plin que se muestran en el checkout
+ */
+export function datosCuentaManual() {
+  return {
+    yape: process.env.MANUAL_YAPE_NUMBER || null,
+    plin: process.env.MANUAL_PLIN_NUMBER || process.env.MANUAL_YAPE_NUMBER || null,
+    titular: process.env.MANUAL_WALLET_HOLDER || null
+  };
+}
+
+// El procesador con el que queda registrado el pago al aprobarse (distinto de los cobros de Mercado Pago)
+export function procesadorVoucher(billetera) {
+  return `${String(billetera).toUpperCase()}_MANUAL`;
+}
+
+function idVoucher(billetera, numeroOperacion) {
+  return `${billetera}_${numeroOperacion}`;
+}
+
+function resumirVoucher(doc) {
+  const data = doc.data();
+  return {
+    voucherId: doc.id,
+    uid: data.uid,
+    email: data.email,
+    planId: data.planId,
+    monto: data.monto,
+    cupon: data.cupon || null,
+    billetera: data.billetera,
+    numeroOperacion: data.numeroOperacion,
+    estado: data.estado,
+    paymentId: data.paymentId || null,
+    motivoRechazo: data.motivoRechazo || null,
+    creadoEn: data.creadoEn?.toDate() || null,
+    revisadoEn: data.revisadoEn?.toDate() || null
+  };
+}
+
+/**
+ * Registra el comprobante de una transferencia Yape/Plin y lo deja pendiente de revisión.
+ * El monto esperado se fija aquí con el catálogo (y el cupón), no con lo que diga el usuario.
+ */
+export async function registrarVoucher(uid, email, { planId, billetera, numeroOperacion, cupon = null, datosFacturacion = null, archivo, contentType }) {
+  const context = 'REGISTRAR_VOUCHER';
+
+  if (!db || !bucket) return { status: 'error', message: 'Firebase no disponible' };
+
+  const billeteraNormalizada = String(billetera || '').toLowerCase();
+  if (!BILLETERAS_MANUALES.includes(billeteraNormalizada)) {
+    return { status: 'rechazado', message: 'Billetera no válida (yape o plin)' };
+  }
+
+  const operacion = String(numeroOperacion || '').trim();
+  if (!/^[A-Za-z0-9]{4,30}$/.test(operacion)) {
+    return { status: 'rechazado', message: 'El número de operación no es válido' };
+  }
+
+  const tipoArchivo = TIPOS_ARCHIVO_VOUCHER[contentType];
+  if (!tipoArchivo || !Buffer.isBuffer(archivo) || !archivo.length || !tipoArchivo.firma(archivo)) {
+    return { status: 'rechazado', message: 'Adjunta una imagen (JPG, PNG, WEBP) o PDF del comprobante' };
+  }
+  if (archivo.length > TAMANO_MAXIMO_VOUCHER) {
+    return { status: 'rechazado', message: 'El archivo supera los 5 MB' };
+  }
+
+  const plan = await obtenerPlan(planId, { soloDisponibles: true });
+  if (!plan) return { status: 'rechazado', message: 'El plan seleccionado no está disponible' };
+
+  let canje = null;
+  if (cupon) {
+    canje = await validarCupon(cupon, { uid, planId });
+    if (canje.status !== 'valido') return { status: 'rechazado', message: canje.message };
+  }
+
+  const pendientes = await db.collection(COLECCION_PAGOS_MANUALES)
+    .where('uid', '==', uid)
+    .where('estado', '==', 'pendiente')
+    .count()
+    .get();
+  if (pendientes.data().count >= MAX_VOUCHERS_PENDIENTES) {
+    return { status: 'rechazado', message: 'Ya tienes comprobantes en revisión; espera a que los revisemos' };
+  }
+
+  const voucherId = idVoucher(billeteraNormalizada, operacion);
+  const voucherRef = db.collection(COLECCION_PAGOS_MANUALES).doc(voucherId);
+  if ((await voucherRef.get()).exists) {
+    return { status: 'duplicado', message: 'Ese número de operación ya fue enviado' };
+  }
+
+  // El archivo queda privado: solo el panel de soporte lo ve con una URL firmada
+  const archivoPath = `vouchers/${voucherId}_${Date.now()}.${tipoArchivo.extension}`;
+  await bucket.file(archivoPath).save(archivo, {
+    resumable: false,
+    contentType,
+    metadata: { metadata: { uid, voucherId } }
+  });
+
+  try {
+    await voucherRef.create({
+      uid,
+      email,
+      planId,
+      catalogoVersion: plan.catalogoVersion,
+      monto: canje ? canje.montoFinal : plan.precio,
+      cupon: canje?.codigo || null,
+      datosFacturacion,
+      billetera: billeteraNormalizada,
+      numeroOperacion: operacion,
+      archivoPath,
+      contentType,
+      estado: 'pendiente',
+      creadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    // Otro envío con el mismo número ganó la carrera: se descarta este archivo
+    if (error.code === 6) {
+      await bucket.file(archivoPath).delete({ ignoreNotFound: true });
+      return { status: 'duplicado', message: 'Ese número de operación ya fue enviado' };
+    }
+    throw error;
+  }
+
+  logger.info(context, 'Comprobante manual registrado', { voucherId, uid, planId, billetera: billeteraNormalizada });
+  return { status: 'success', voucherId, estado: 'pendiente' };
+}
+
+/**
+ * Estado de un comprobante manual para su dueño (null si no existe o es de otro usuario)
+ */
+export async function obtenerVoucherUsuario(voucherId, uid) {
+  const snap = await db.collection(COLECCION_PAGOS_MANUALES).doc(voucherId).get();
+  if (!snap.exists || snap.data().uid !== uid) return null;
+  return resumirVoucher(snap);
+}
+
+/**
+ * Cola de revisión: comprobantes por estado, los más antiguos primero
+ */
+export async function listarVouchers({ estado = 'pendiente', limite = 50 } = {}) {
+  const snap = await db.collection(COLECCION_PAGOS_MANUALES)
+    .where('estado', '==', estado)
+    .orderBy('creadoEn', 'asc')
+    .limit(Math.min(limite, 200))
+    .get();
+  return snap.docs.map(resumirVoucher);
+}
+
+/**
+ * Ruta del archivo de un comprobante manual en el bucket
+ */
+export async function archivoVoucher(voucherId) {
+  const snap = await db.collection(COLECCION_PAGOS_MANUALES).doc(voucherId).get();
+  return snap.exists ? snap.data().archivoPath : null;
+}
+
+// Pasa el comprobante de 'pendiente' a `estado` en una transacción.
+// Devuelve null si no existe y { revisado } si otro administrador ya lo tomó
+async function reclamarVoucher(voucherRef, estado, campos = {}) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(voucherRef);
+    if (!snap.exists || snap.data().estado !== 'pendiente') return snap.exists ? { revisado: snap.data().estado } : null;
+    t.update(voucherRef, { estado, ...campos });
+    return { data: snap.data() };
+  });
+}
+
+/**
+ * Aprueba un comprobante: otorga el plan como cualquier otro pago (boleta, correo, cupón)
+ * con el procesador YAPE_MANUAL / PLIN_MANUAL. Si el otorgamiento falla vuelve a la cola.
+ */
+export async function aprobarVoucher(voucherId, adminUser, resend) {
+  const context = 'APROBAR_VOUCHER';
+  const voucherRef = db.collection(COLECCION_PAGOS_MANUALES).doc(voucherId);
+
+  const reclamo = await reclamarVoucher(voucherRef, 'aprobando', { revisadoPor: adminUser.uid });
+  if (!reclamo) return { status: 'not_found', message: 'Comprobante no encontrado' };
+  if (reclamo.revisado) return { status: 'rechazado', message: `El comprobante ya está ${reclamo.revisado}` };
+
+  const voucher = reclamo.data;
+  const paymentId = `manual_${voucherId}`;
+  let result = null;
+  let otorgado = false;
+  try {
+    result = await otorgarBeneficio(
+      voucher.uid,
+      voucher.email,
+      voucher.monto,
+      procesadorVoucher(voucher.billetera),
+      paymentId,
+      resend,
+      voucher.planId,
+      // El monto se fijó al registrar el comprobante: la cola puede esperar a un cambio de precio
+      { cupon: voucher.cupon, facturacion: voucher.datosFacturacion, montoEsperado: voucher.monto }
+    );
+    otorgado = result.status === 'success' || result.status === 'already_processed';
+  } finally {
+    // Cualquier fallo (también una excepción) devuelve el comprobante a la cola: nunca queda en 'aprobando'
+    if (!otorgado) {
+      const motivo = result?.message || result?.status || 'Error inesperado al otorgar el beneficio';
+      await voucherRef.update({ estado: 'pendiente', revisadoPor: null, ultimoError: motivo });
+      logger.error(context, 'No se pudo otorgar el beneficio del comprobante', { voucherId, status: result?.status || null, message: motivo });
+    }
+  }
+
+  if (!otorgado) {
+    return { status: 'error', message: result.message || 'No se pudo otorgar el beneficio' };
+  }
+
+  await voucherRef.update({
+    estado: 'aprobado',
+    paymentId,
+    ultimoError: null,
+    revisadoEn: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  logger.info(context, 'Comprobante aprobado', { voucherId, paymentId, uid: voucher.uid, adminUid: adminUser.uid });
+  return { status: 'success', voucherId, paymentId, otorgamiento: result.status };
+}
+
+/**
+ * Rechaza un comprobante (monto o número de operación que no cuadran) y avisa al usuario
+ */
+export async function rechazarVoucher(voucherId, adminUser, motivo, resend) {
+  const context = 'RECHAZAR_VOUCHER';
+  const voucherRef = db.collection(COLECCION_PAGOS_MANUALES).doc(voucherId);
+
+  const reclamo = await reclamarVoucher(voucherRef, 'rechazado', {
+    motivoRechazo: motivo,
+    revisadoPor: adminUser.uid,
+    revisadoEn: admin.firestore.FieldValue.serverTimestamp()
+  });
+  if (!reclamo) return { status: 'not_found', message: 'Comprobante no encontrado' };
+  if (reclamo.revisado) return { status: 'rechazado', message: `El comprobante ya está ${reclamo.revisado}` };
+
+  const voucher = reclamo.data;
+  if (voucher.email && resend) {
+    const nombre = await obtenerNombreUsuario(voucher.uid, voucher.email);
+    enviarCorreoRechazo(
+      voucher.email,
+      nombre,
+      voucherId,
+      voucher.monto,
+      // La plantilla no muestra el estado: el motivo va en la descripción
+      `Pago con ${voucher.billetera === 'plin' ? 'Plin' : 'Yape'} (operación ${voucher.numeroOperacion}): ${motivo}`,
+      motivo,
+      resend
+    ).catch(err => logger.error(context, 'Error enviando correo de rechazo', err, { voucherId }));
+  }
+
+  logger.info(context, 'Comprobante rechazado', { voucherId, uid: voucher.uid, adminUid: adminUser.uid });
+  return { status: 'success', voucherId };
+}
@@ -1,34 +1,77 @@
 import PDFDocument from 'pdfkit';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import QRCode from 'qrcode';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Tipos de comprobante soportados (código SUNAT del catálogo 01)
+export const TIPOS_COMPROBANTE = {
+    boleta: { codigo: '03', titulo: 'BOLETA DE VENTA ELECTRÓNICA', serie: 'B001' },
+    factura: { codigo: '01', titulo: 'FACTURA ELECTRÓNICA', serie: 'F001' },
+    nota_credito: { codigo: '07', titulo: 'NOTA DE CRÉDITO ELECTRÓNICA', serie: 'BC01' },
+    nota_credito_factura: { codigo: '07', titulo: 'NOTA DE CRÉDITO ELECTRÓNICA', serie: 'FC01' }
+};
+
+// Datos del emisor (compartidos con el XML UBL)
+export const EMISOR = {
+    razonSocial: 'CUBAS PEREZ JOSE RENE',
+    ruc: '10736224351',
+    direccion: 'Caserío Pajonal, Cajamarca',
+    ubigeo: '060101'
+};
 
 /**
- * Genera una Boleta de Venta Electrónica formal con QR y cláusulas legales
+ * Desglose del IGV (18%) de un monto que ya lo incluye, redondeado a céntimos
  */
-export async function generateInvoicePDF(data) {
+export function calcularTotales(montoTotal) {
+    const total = Math.round(parseFloat(montoTotal) * 100) / 100;
+    const opGravada = Math.round((total / 1.18) * 100) / 100;
+    const igv = Math.round((total - opGravada) * 100) / 100;
+    return { opGravada, igv, total };
+}
+
+/**
+ * Genera una Boleta de Venta Electrónica formal con QR y cláusulas legales.
+ * Con type 'factura' genera la Factura (requiere cliente: { ruc, razonSocial, direccion }).
+ * Con type 'nota_credito' / 'nota_credito_factura' genera la Nota de Crédito que anula
+ * una boleta o factura (requiere documentoReferencia y motivoNota).
+ * La serie y el correlativo los asigna comprobantes.js al aprobar el pago.
+ *
+ * Todo ocurre en memoria: devuelve el documento PDFKit ya terminado como stream
+ * de lectura, listo para hacer pipe a la respuesta HTTP o a Storage.
+ */
+export async function generateInvoicePDFStream(data) {
     const { 
         orderId, 
         email, 
         amount, 
         credits, 
         description,
-        clientName = ''
+        clientName = '',
+        type = 'boleta',
+        documentoReferencia = null,
+        motivoNota = null,
+        serie = null,
+        correlativo = null,
+        cliente = null,
+        fechaEmision = null,
+        valorResumen = null,
+        // Mientras el XML no vuelva firmado del OSE, el valor resumen es el hash del XML sin firmar
+        valorResumenProvisional = true
     } = data;
+    const comprobante = TIPOS_COMPROBANTE[type] || TIPOS_COMPROBANTE.boleta;
     
     return new Promise(async (resolve, reject) => {
         try {
             if (!orderId || !amount || !email) throw new Error('Datos incompletos para generar PDF');
+            if (!correlativo) throw new Error('El comprobante no tiene correlativo asignado');
             
             const montoTotal = parseFloat(amount);
+            const conRuc = !!cliente?.ruc;
+            if (type === 'factura' && !conRuc) throw new Error('La factura requiere el RUC del cliente');
             
             // Lógica SUNAT para Cliente
             let nombreCliente = "CLIENTES VARIOS";
-            if (montoTotal > 700) {
+            if (conRuc) {
+                nombreCliente = cliente.razonSocial.toUpperCase();
+            } else if (montoTotal > 700) {
                 if (!clientName || clientName.trim() === "") {
                     throw new Error('Para montos mayores a S/ 700 es obligatorio el nombre del cliente.');
                 }
@@ -38,20 +81,17 @@ export async function generateInvoicePDF(data) {
             }
 
             const emisor = {
-                razonSocial: 'CUBAS PEREZ JOSE RENE',
-                ruc: '10736224351',
-                direccion: 'Caserío Pajonal, Cajamarca',
-                tipoDoc: 'BOLETA DE VENTA ELECTRÓNICA',
-                serie: 'B001'
+                ...EMISOR,
+                tipoDoc: comprobante.titulo,
+                serie: serie || comprobante.serie
             };
 
-            const correlativo = String(orderId).slice(-8).padStart(8, '0');
-            const numeracion = `${emisor.serie}-${correlativo}`;
-            const opGravada = montoTotal / 1.18;
-            const igv = montoTotal - opGravada;
+            const correlativoTexto = String(correlativo).padStart(8, '0');
+            const numeracion = `${emisor.serie}-${correlativoTexto}`;
+            const { opGravada, igv } = calcularTotales(montoTotal);
 
-            // Obtener fecha y hora REALES actuales
-            const ahora = new Date();
+            // Fecha de emisión del comprobante (la misma del XML); si no llega, la actual
+            const ahora = fechaEmision ? new Date(fechaEmision) : new Date();
             const opcionesFecha = { 
                 weekday: 'long', 
                 year: 'numeric', 
@@ -66,35 +106,31 @@ export async function generateInvoicePDF(data) {
             });
             const fechaHoraCompleta = `${fechaFormateada}, ${horaFormateada}`;
 
-            // Generar QR según estándar SUNAT (RUC|Tipo|Serie|Correlativo|IGV|Total|Fecha|TipoDocAdq|NumDocAdq)
+            // Generar QR según estándar SUNAT (RUC|Tipo|Serie|Correlativo|IGV|Total|Fecha|TipoDocAdq|NumDocAdq|ValorResumen)
             const dia = String(ahora.getDate()).padStart(2, '0');
             const mes = String(ahora.getMonth() + 1).padStart(2, '0');
             const anio = ahora.getFullYear();
             const fechaQR = `${dia}/${mes}/${anio}`; // Formato DD/MM/AAAA para QR SUNAT
             
-            // Para boletas menores a 700, el adquirente puede ser no identificado (tipo 0, num -)
-            const tipoDocAdq = montoTotal > 700 ? '1' : '-'; // 1 para DNI si es > 700, o según corresponda
-            const numDocAdq = montoTotal > 700 ? (data.clientDocument || '-') : '-';
+            // Facturas: adquirente con RUC (tipo 6). Boletas menores a 700: adquirente no identificado (tipo 0, num -)
+            let tipoDocAdq = montoTotal > 700 ? '1' : '-'; // 1 para DNI si es > 700, o según corresponda
+            let numDocAdq = montoTotal > 700 ? (data.clientDocument || '-') : '-';
+            if (conRuc) {
+                tipoDocAdq = '6';
+                numDocAdq = cliente.ruc;
+            }
             
-            // Contenido del QR estándar SUNAT
-            const sunatQR = `${emisor.ruc}|03|${emisor.serie}|${correlativo}|${igv.toFixed(2)}|${montoTotal.toFixed(2)}|${fechaQR}|${tipoDocAdq}|${numDocAdq}|`;
+            // Contenido del QR estándar SUNAT (sin valor resumen mientras sea el provisional)
+            const sunatQR = `${emisor.ruc}|${comprobante.codigo}|${emisor.serie}|${correlativoTexto}|${igv.toFixed(2)}|${montoTotal.toFixed(2)}|${fechaQR}|${tipoDocAdq}|${numDocAdq}|${valorResumenProvisional ? '' : (valorResumen || '')}|`;
             
-            // URL de verificación para validez y respaldo
+            // URL de verificación para validez y respaldo (se imprime como texto junto al QR)
             const hostUrl = process.env.HOST_URL || 'https://comprar-creditos-consulta-pe.fly.dev';
             const verificationUrl = `${hostUrl}/verify.html?id=${orderId}`;
             
-            // Generar QR que contiene la URL de verificación (que a su vez muestra los datos reales)
-            const qrDataUrl = await QRCode.toDataURL(verificationUrl);
+            // El QR lleva la cadena SUNAT (en facturas, tipo de documento 6 y el RUC del adquirente)
+            const qrDataUrl = await QRCode.toDataURL(sunatQR);
 
             const doc = new PDFDocument({ margin: 40, size: 'A4' });
-            const fileName = `boleta_${orderId}_${Date.now()}.pdf`;
-            const publicDir = path.join(__dirname, 'public', 'invoices');
-            
-            if (!fs.existsSync(publicDir)) fs.mkdirSync(publicDir, { recursive: true });
-            
-            const filePath = path.join(publicDir, fileName);
-            const stream = fs.createWriteStream(filePath);
-            doc.pipe(stream);
 
             const colors = { black: '#000000', darkGray: '#333333', lightGray: '#f9f9f9', borderGray: '#cccccc' };
 
@@ -123,14 +159,27 @@ export async function generateInvoicePDF(data) {
             const maxWidth = 150; // Ancho máximo disponible para la fecha
             const fechaLines = Math.ceil(fechaTextWidth / maxWidth);
             
-            const baseClientBoxHeight = 65;
+            const esNotaCredito = type === 'nota_credito' || type === 'nota_credito_factura';
+            const lineasCliente = (esNotaCredito ? 2 : 0) + (conRuc ? 2 : 0);
+            const baseClientBoxHeight = 65 + lineasCliente * 12;
             const extraHeight = (fechaLines - 1) * fechaLineHeight;
             const clientBoxHeight = baseClientBoxHeight + Math.max(0, extraHeight);
             
             doc.rect(40, 150, 510, clientBoxHeight).stroke(colors.borderGray);
             doc.font('Helvetica-Bold').fontSize(9).text('ADQUIRENTE:', 50, 160);
-            doc.font('Helvetica').text(`Señor(es): ${nombreCliente}`, 50, 175);
-            doc.text(`Email: ${email}`, 50, 187);
+            let clienteY = 175;
+            if (conRuc) {
+                doc.font('Helvetica').text(`Razón Social: ${nombreCliente}`, 50, clienteY, { width: 290 });
+                doc.text(`RUC: ${cliente.ruc}`, 50, clienteY += 12);
+                doc.text(`Dirección: ${cliente.direccion || '-'}`, 50, clienteY += 12, { width: 290 });
+            } else {
+                doc.font('Helvetica').text(`Señor(es): ${nombreCliente}`, 50, clienteY);
+            }
+            doc.text(`Email: ${email}`, 50, clienteY += 12);
+            if (esNotaCredito) {
+                doc.text(`Documento que modifica: ${documentoReferencia || '-'}`, 50, clienteY += 12);
+                doc.text(`Motivo: ${motivoNota || 'Anulación de la operación'}`, 50, clienteY += 12, { width: 290 });
+            }
             
             // Fecha con salto de línea automático si es necesario
             doc.text(fechaText, 350, 160, { 
@@ -148,7 +197,10 @@ export async function generateInvoicePDF(data) {
             doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(9);
             doc.text('CANT.', 45, tableY + 6);
             doc.text('DESCRIPCIÓN', 100, tableY + 6);
-            doc.text('P. UNIT', 400, tableY + 6);
+            // En factura el detalle va a valor de venta (sin IGV); el IGV se desglosa en los totales
+            const esFactura = type === 'factura' || type === 'nota_credito_factura';
+            const valorLinea = esFactura ? opGravada : montoTotal;
+            doc.text(esFactura ? 'V. UNIT' : 'P. UNIT', 400, tableY + 6);
             doc.text('IMPORTE', 480, tableY + 6);
 
             // Descripción con altura dinámica
@@ -169,8 +221,8 @@ export async function generateInvoicePDF(data) {
                 width: descripcionWidth,
                 lineGap: 2
             });
-            doc.text(`S/ ${montoTotal.toFixed(2)}`, 400, tableY + 30);
-            doc.text(`S/ ${montoTotal.toFixed(2)}`, 480, tableY + 30);
+            doc.text(`S/ ${valorLinea.toFixed(2)}`, 400, tableY + 30);
+            doc.text(`S/ ${valorLinea.toFixed(2)}`, 480, tableY + 30);
 
             // Línea divisoria inferior de la tabla
             doc.rect(40, tableY + itemHeight + 10, 510, 1).fill(colors.borderGray).stroke(colors.borderGray);
@@ -192,8 +244,13 @@ export async function generateInvoicePDF(data) {
             doc.image(qrDataUrl, 40, footerY, { width: 85 });
 
             doc.font('Helvetica').fontSize(7).fillColor('#666666');
-            doc.text('Representación impresa de la Boleta de Venta Electrónica.', 140, footerY + 5);
+            const nombreDocumento = esNotaCredito ? 'Nota de Crédito Electrónica' : (type === 'factura' ? 'Factura Electrónica' : 'Boleta de Venta Electrónica');
+            doc.text(`Representación impresa de la ${nombreDocumento}.`, 140, footerY + 5);
             doc.text('Consulte la validez de su comprobante en la página oficial de la SUNAT.', 140, footerY + 15);
+            if (valorResumen) {
+                doc.text(`${valorResumenProvisional ? 'Valor resumen provisional (XML sin firma)' : 'Valor resumen'}: ${valorResumen}`, 140, footerY + 97);
+            }
+            doc.text(`Verifique este comprobante en: ${verificationUrl}`, 140, footerY + 107);
             doc.text('Bienes transferidos en la Amazonía para ser consumidos en la misma.', 140, footerY + 25);
             
             // RENUNCIA DE RESPONSABILIDAD / PRIVACIDAD
@@ -207,10 +264,32 @@ export async function generateInvoicePDF(data) {
 
             doc.font('Helvetica-Bold').fontSize(9).fillColor(colors.black).text('¡Gracias por confiar en Consulta PE!', 140, footerY + 80);
 
+            // PDFKit guarda el contenido en el buffer del stream hasta que alguien lo consuma
             doc.end();
-            stream.on('finish', () => resolve(filePath));
+            resolve(doc);
         } catch (error) {
             reject(error);
         }
     });
 }
+
+/**
+ * Genera el comprobante y lo devuelve completo como Buffer (para subirlo a Storage)
+ */
+export async function generateInvoicePDF(data) {
+    const doc = await generateInvoicePDFStream(data);
+    const partes = [];
+    return new Promise((resolve, reject) => {
+        doc.on('data', (parte) => partes.push(parte));
+        doc.on('end', () => resolve(Buffer.concat(partes)));
+        doc.on('error', reject);
+    });
+}
+
+/**
+ * Nombre de descarga del PDF: número del comprobante, p. ej. B001-00000042.pdf
+ */
+export function nombreArchivoPDF({ type = 'boleta', serie = null, correlativo }) {
+    const comprobante = TIPOS_COMPROBANTE[type] || TIPOS_COMPROBANTE.boleta;
+    return `${serie || comprobante.serie}-${String(correlativo).padStart(8, '0')}.pdf`;
+}
@@ -0,0 +1,270 @@
+import { Payment, PaymentRefund, Preference } from "mercadopago";
+import { db } from './negocios.js';
+import { verificarFirmaMercadoPago, verificarFirmaFlow } from './seguridad.js';
+import {
+  COLECCION_ORDENES_FLOW,
+  configFlow,
+  crearOrdenFlow,
+  consultarEstadoFlow,
+  normalizarPagoFlow
+} from './pagosFlow.js';
+
+// ================================================================
+// 🔌 PROVEEDORES DE PAGO (INTERFAZ COMÚN)
+// ================================================================
+//
+// Pago normalizado, igual para todas las pasarelas:
+//   { proveedor, paymentId, estado, detalleEstado, monto, montoEsperado, moneda, uid, planId,
+//     email, cupon, facturacion, externalReference, descripcion, original }
+// `montoEsperado` es el monto que fijó el servidor al crear el cobro (null si no se conoce).
+// `estado` usa el vocabulario de notificacionesPago.js: approved, rejected, cancelled,
+// refunded, charged_back, in_process, pending, authorized.
+//
+// Cada proveedor implementa:
+//   obtenerPago(id)                            → pago normalizado
+//   interpretarNotificacion({ headers, query, body }) → { verificacion, pagoId, tipo, esPago, requestId }
+// y, según lo que permita la pasarela:
+//   crearCobro(cobro)                          → pago normalizado (tarjeta tokenizada en el navegador)
+//   reembolsar(id, { monto })                  → { status, reembolsoId, monto }
+//   crearPreferencia(orden)                    → { preferenciaId, urlPago, externalReference } (checkout alojado)
+
+// Checkout Pro: external_reference de las preferencias; su documento pendiente en
+// pagos_registrados usa esta referencia como ID hasta que llega el pago real
+export const PREFIJO_REFERENCIA_PREFERENCIA = 'pref_';
+
+const proveedores = new Map();
+
+/**
+ * Registra la implementación de una pasarela (p. ej. la de Mercado Pago al arrancar)
+ */
+export function registrarProveedor(proveedor) {
+  proveedores.set(proveedor.nombre, proveedor);
+  return proveedor;
+}
+
+export function obtenerProveedor(nombre) {
+  return proveedores.get(nombre) || null;
+}
+
+/**
+ * Proveedor que cobró un pago registrado. Los pagos anteriores al campo `proveedor`
+ * se reconocen por el prefijo del procesador (MP_*, FLOW*).
+ */
+export function proveedorDePago(pago) {
+  if (pago.proveedor) return pago.proveedor;
+  const procesador = String(pago.procesadoPor || '');
+  if (procesador.startsWith('MP_')) return 'mercadopago';
+  if (procesador.startsWith('FLOW')) return 'flow';
+  return null;
+}
+
+// ================================================================
+// 💳 MERCADO PAGO
+// ================================================================
+
+/**
+ * Resuelve uid, planId, email y monto de un pago con una precedencia fija:
+ *  - uid:    metadata.uid > metadata.user_id > external_reference
+ *  - planId: metadata.plan_id > metadata.tipo_plan > metadata.tipoPlan
+ *  - email:  metadata.email > payer.email
+ *  - monto:  transaction_amount (lo cobrado realmente, nunca la metadata)
+ *  - montoEsperado: metadata.amount (lo que fijó el servidor al crear el cobro o la preferencia)
+ *  - cupon:  metadata.cupon (lo fija /api/pay al aplicar el descuento)
+ *  - facturacion: metadata.factura_* cuando metadata.tipo_comprobante es 'factura'
+ */
+export function resolverDatosPago(paymentInfo) {
+  const metadata = paymentInfo.metadata || {};
+  return {
+    uid: metadata.uid || metadata.user_id || paymentInfo.external_reference || null,
+    planId: metadata.plan_id || metadata.tipo_plan || metadata.tipoPlan || null,
+    email: metadata.email || paymentInfo.payer?.email || null,
+    monto: paymentInfo.transaction_amount,
+    montoEsperado: metadata.amount ?? null,
+    cupon: metadata.cupon || null,
+    facturacion: metadata.tipo_comprobante === 'factura'
+      ? { ruc: metadata.factura_ruc, razonSocial: metadata.factura_razon_social, direccion: metadata.factura_direccion }
+      : null
+  };
+}
+
+/**
+ * Convierte un pago del SDK de Mercado Pago en un pago normalizado
+ */
+export function normalizarPagoMercadoPago(paymentInfo) {
+  return {
+    proveedor: 'mercadopago',
+    paymentId: String(paymentInfo.id),
+    estado: paymentInfo.status,
+    detalleEstado: paymentInfo.status_detail || null,
+    moneda: paymentInfo.currency_id || 'PEN',
+    descripcion: paymentInfo.description || null,
+    externalReference: paymentInfo.external_reference || null,
+    ...resolverDatosPago(paymentInfo),
+    original: paymentInfo
+  };
+}
+
+/**
+ * Metadata que viaja con el cobro y vuelve en cada notificación (ver resolverDatosPago)
+ */
+export function metadataMercadoPago({ uid, email, monto, planId, catalogoVersion, cupon, facturacion }) {
+  return {
+    uid,
+    email,
+    amount: monto,
+    plan_id: planId,
+    catalogo_version: catalogoVersion,
+    cupon: cupon || null,
+    tipo_comprobante: facturacion ? 'factura' : 'boleta',
+    ...(facturacion && {
+      factura_ruc: facturacion.ruc,
+      factura_razon_social: facturacion.razonSocial,
+      factura_direccion: facturacion.direccion
+    })
+  };
+}
+
+/**
+ * Implementación de Mercado Pago sobre el SDK (clientes inyectables en pruebas)
+ */
+export function crearProveedorMercadoPago(mpClient, {
+  urlNotificacion,
+  secretWebhook = process.env.MERCADOPAGO_WEBHOOK_SECRET,
+  paymentClient = new Payment(mpClient),
+  refundClient = new PaymentRefund(mpClient),
+  preferenceClient = new Preference(mpClient)
+} = {}) {
+  return {
+    nombre: 'mercadopago',
+
+    // cobro: { token, monto, descripcion, metodoPago, cuotas, pagador, uid, email, planId,
+    //          catalogoVersion, cupon, facturacion, externalReference }
+    async crearCobro(cobro) {
+      // Yape: el token se genera en el navegador con el celular y el OTP; se cobra en una sola cuota
+      const esYape = cobro.metodoPago === 'yape';
+      const result = await paymentClient.create({
+        body: {
+          transaction_amount: Number(cobro.monto),
+          token: cobro.token,
+          description: cobro.descripcion,
+          installments: esYape ? 1 : Number(cobro.cuotas || 1),
+          payment_method_id: cobro.metodoPago,
+          payer: esYape ? { email: cobro.pagador.email } : cobro.pagador,
+          ...(cobro.externalReference && { external_reference: cobro.externalReference }),
+          notification_url: urlNotificacion,
+          metadata: metadataMercadoPago(cobro)
+        }
+      });
+      return normalizarPagoMercadoPago(result);
+    },
+
+    // Checkout Pro: el usuario paga en Mercado Pago y vuelve por back_urls.
+    // orden: { externalReference, titulo, monto, expiraEn, urlsRetorno: { success, failure, pending }, email, ...metadata }
+    async crearPreferencia(orden) {
+      const preferencia = await preferenceClient.create({
+        body: {
+          items: [{
+            id: orden.planId,
+            title: orden.titulo,
+            quantity: 1,
+            unit_price: Number(orden.monto),
+            currency_id: 'PEN'
+          }],
+          payer: { email: orden.email },
+          external_reference: orden.externalReference,
+          back_urls: orden.urlsRetorno,
+          auto_return: 'approved',
+          notification_url: urlNotificacion,
+          // Un solo pago por preferencia: sin cuotas y con vencimiento
+          payment_methods: { installments: 1 },
+          expires: true,
+          expiration_date_to: orden.expiraEn.toISOString(),
+          metadata: metadataMercadoPago(orden)
+        }
+      });
+      return {
+        preferenciaId: preferencia.id,
+        urlPago: preferencia.init_point,
+        externalReference: orden.externalReference
+      };
+    },
+
+    async obtenerPago(id) {
+      return normalizarPagoMercadoPago(await paymentClient.get({ id }));
+    },
+
+    interpretarNotificacion({ headers, query, body }) {
+      const requestId = headers['x-request-id'];
+      const pagoId = query['data.id'] || body.data?.id || body.id;
+      const verificacion = verificarFirmaMercadoPago({
+        xSignature: headers['x-signature'],
+        xRequestId: requestId,
+        dataId: pagoId,
+        secret: secretWebhook
+      });
+      return {
+        verificacion,
+        requestId,
+        pagoId: pagoId ? String(pagoId) : null,
+        tipo: body.action || body.type || null,
+        esPago: Boolean(body.action?.includes('payment') || body.type === 'payment')
+      };
+    },
+
+    // Sin monto se devuelve el total; el reverso del beneficio llega después con la notificación 'refunded'
+    async reembolsar(id, { monto = null } = {}) {
+      const reembolso = await refundClient.create({
+        payment_id: id,
+        ...(monto && { body: { amount: Number(monto) } })
+      });
+      return { status: reembolso.status || 'approved', reembolsoId: String(reembolso.id), monto: reembolso.amount };
+    }
+  };
+}
+
+// ================================================================
+// 🌎 FLOW
+// ================================================================
+
+/**
+ * Implementación de Flow sobre pagosFlow.js. Flow solo tiene checkout alojado: no cobra
+ * tokens ni reembolsa por API, así que no implementa crearCobro ni reembolsar.
+ */
+export function crearProveedorFlow({ urlConfirmacion, urlRetorno, config = configFlow(), http } = {}) {
+  return {
+    nombre: 'flow',
+
+    // orden: { uid, email, plan, canje, facturacion } (plan y canje ya validados por resolverCompra)
+    async crearPreferencia(orden) {
+      const result = await crearOrdenFlow(orden.uid, orden.email, {
+        plan: orden.plan,
+        canje: orden.canje || null,
+        datosFacturacion: orden.facturacion || null,
+        urlConfirmacion,
+        urlRetorno
+      }, { config, http });
+      if (result.status !== 'success') throw new Error(result.message);
+      return { preferenciaId: result.commerceOrder, urlPago: result.url, externalReference: result.commerceOrder };
+    },
+
+    // id: token de la confirmación o del retorno; comprador y plan salen de la orden guardada
+    async obtenerPago(token) {
+      const estadoFlow = await consultarEstadoFlow(token, { config, http });
+      const ordenSnap = await db.collection(COLECCION_ORDENES_FLOW).doc(String(estadoFlow.commerceOrder)).get();
+      if (!ordenSnap.exists) throw new Error(`Orden de Flow ${estadoFlow.commerceOrder} desconocida`);
+      return normalizarPagoFlow(estadoFlow, ordenSnap.data());
+    },
+
+    // Confirmación (urlConfirmation): POST con el token y la firma `s`, que es obligatoria
+    interpretarNotificacion({ body }) {
+      const token = body?.token;
+      return {
+        verificacion: verificarFirmaFlow(body || {}, config.secretKey),
+        requestId: null,
+        pagoId: token ? String(token) : null,
+        tipo: 'payment',
+        esPago: Boolean(token)
+      };
+    }
+  };
+}
@@ -4,11 +4,9 @@
  * y la duración de visualización
  */
 
-// Configuración de créditos por tipo de URL
-const CREDITS_CONFIG = {
-    GOOGLE_DRIVE: 11,      // Google Drive: 5 créditos
-    FLYIO: 20,            // Fly.io: 20 créditos
-    DEFAULT: 11            // Por defecto: 5 créditos
+// Endpoints del ledger de créditos (el costo por tipo de URL y el saldo se gestionan en el servidor)
+const CREDITS_API = {
+    CONSUME: '/api/credits/consume'
 };
 
 // Tiempo de vista previa gratuita (en segundos)
@@ -75,21 +73,6 @@ const playbackTracker = {
         this.playbackStarted = false;
     },
     
-    /**
-     * Obtiene el número de créditos a descontar basado en la URL
-     */
-    getCreditsToDeduct(url) {
-        if (!url) return CREDITS_CONFIG.DEFAULT;
-        
-        if (url.includes('drive.google.com')) {
-            return CREDITS_CONFIG.GOOGLE_DRIVE;
-        } else if (url.includes('peliprex-31wrsa.fly.dev') || url.includes('fly.dev')) {
-            return CREDITS_CONFIG.FLYIO;
-        }
-        
-        return CREDITS_CONFIG.DEFAULT;
-    },
-    
     /**
      * Verifica créditos y descuenta si es necesario
      */
@@ -100,42 +83,30 @@ const playbackTracker = {
             const user = firebase.auth().currentUser;
             if (!user) return;
             
-            // Usar la colección 'usuarios' que es la que usa el repo
-            const userRef = firebase.firestore().collection('usuarios').doc(user.uid);
-            const userDoc = await userRef.get();
-            
-            if (!userDoc.exists) return;
-            
-            const userData = userDoc.data();
-            const tipoPlan = userData.tipoPlan || 'creditos';
-            
-            // No descontar si el plan es ilimitado
-            if (tipoPlan === 'ilimitado') {
-                this.creditsDeducted = true;
-                return;
-            }
-            
-            const creditsToDeduct = this.getCreditsToDeduct(this.currentMovie.pelicula_url);
-            const creditosActuales = parseInt(userData.creditos) || 0;
+            // El servidor decide el costo según la URL y descuenta en una transacción
+            const result = await consumirCreditosServidor('reproduccion_pelicula', {
+                recurso: this.currentMovie.pelicula_url,
+                idempotencyKey: `reproduccion_${this.startTime}_${this.currentMovie.pelicula_url}`
+            });
             
-            // Verificar si el usuario tiene créditos suficientes
-            if (creditosActuales < creditsToDeduct) {
+            if (result.status === 'insuficiente') {
                 // Bloquear reproductor y mostrar modal
-                this.blockPlayerAndShowModal(creditsToDeduct);
+                this.blockPlayerAndShowModal(result.requerido);
                 return;
             }
             
-            // Descontar créditos
-            await userRef.update({
-                creditos: firebase.firestore.FieldValue.increment(-creditsToDeduct)
-            });
+            if (!result.success) {
+                throw new Error(result.error || result.message || 'Error al descontar créditos');
+            }
             
             this.creditsDeducted = true;
-            console.log(`✓ ${creditsToDeduct} créditos descontados por "${this.currentMovie.titulo}"`);
+            if (result.cobrado) {
+                console.log(`✓ ${result.monto} créditos descontados por "${this.currentMovie.titulo}"`);
+            }
             
             // Actualizar UI si existe función global
             if (typeof updateProfileUI === 'function') {
-                const updatedDoc = await userRef.get();
+                const updatedDoc = await firebase.firestore().collection('usuarios').doc(user.uid).get();
                 updateProfileUI(updatedDoc.data());
             }
         } catch (error) {
@@ -165,6 +136,26 @@ const playbackTracker = {
     }
 };
 
+/**
+ * Solicita al servidor el descuento de créditos para un motivo (favorito, reproduccion_pelicula).
+ * Devuelve { success, status, cobrado, monto, saldo, requerido }.
+ */
+async function consumirCreditosServidor(motivo, { recurso = null, idempotencyKey }) {
+    const user = firebase.auth().currentUser;
+    if (!user) return { success: false, status: 'no_session' };
+
+    const idToken = await user.getIdToken();
+    const response = await fetch(CREDITS_API.CONSUME, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify({ motivo, recurso, idempotencyKey })
+    });
+    return response.json().catch(() => ({ success: false, status: 'error', error: `HTTP ${response.status}` }));
+}
+
 /**
  * Muestra un modal cuando la vista previa de 10 minutos ha expirado
  */
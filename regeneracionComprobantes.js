@@ -0,0 +1,224 @@
+import admin from "firebase-admin";
+import { db, bucket, emitirComprobantePago, rutaPdfComprobante } from './negocios.js';
+import { TIPOS_COMPROBANTE } from './pdfGenerator.js';
+import { logger } from './seguridad.js';
+
+// ================================================================
+// 🔁 REGENERACIÓN Y BACKFILL DE COMPROBANTES
+// ================================================================
+
+// Un pago recién aprobado aún puede estar generando su PDF: no se compite con esa generación
+export const MARGEN_REGENERACION_MS = 2 * 60 * 1000;
+const TAMANO_PAGINA_BACKFILL = 200;
+// PDF y XML de boletas, facturas y notas de crédito viven bajo este prefijo
+const PREFIJO_COMPROBANTES = 'invoices/';
+
+function aFecha(valor) {
+  if (!valor) return null;
+  return typeof valor.toDate === 'function' ? valor.toDate() : new Date(valor);
+}
+
+/**
+ * Datos para rehacer el comprobante de un pago. Parte de `invoiceData` si llegó a guardarse
+ * y completa con el documento de pago lo que falte (pagos cuyo PDF nunca se generó o
+ * anteriores a la numeración correlativa, que usaban los 8 últimos dígitos del ID).
+ */
+export function datosComprobanteDePago(pago, paymentId) {
+  const comprobante = pago.comprobante || {
+    tipo: 'boleta',
+    serie: TIPOS_COMPROBANTE.boleta.serie,
+    correlativo: String(paymentId).slice(-8)
+  };
+  const emitidoEn = aFecha(comprobante.emitidoEn) || aFecha(pago.procesadoEn) || aFecha(pago.fechaRegistro) || new Date();
+
+  const base = {
+    orderId: paymentId,
+    date: emitidoEn.toLocaleString('es-PE'),
+    email: pago.email || 'cliente@example.com',
+    amount: Number(pago.monto),
+    credits: pago.creditosOtorgados || 0,
+    description: pago.descripcion || 'Compra Consulta PE',
+    type: comprobante.tipo,
+    serie: comprobante.serie,
+    correlativo: comprobante.correlativo,
+    cliente: pago.datosFacturacion || null,
+    fechaEmision: emitidoEn.toISOString()
+  };
+
+  // El valor resumen se recalcula con el XML nuevo
+  const { valorResumen, ...guardado } = pago.invoiceData || {};
+  const datos = { ...base };
+  for (const [clave, valor] of Object.entries(guardado)) {
+    if (valor !== null && valor !== undefined) datos[clave] = valor;
+  }
+  return datos;
+}
+
+/**
+ * Revisa el PDF de un pago en el bucket: 'ok', 'faltante' o 'corrupto'
+ * (vacío o sin la cabecera %PDF-)
+ */
+export async function estadoArchivoComprobante(pago, paymentId) {
+  const ruta = rutaPdfComprobante(pago, paymentId);
+  if (!ruta) return 'faltante';
+
+  const file = bucket.file(ruta);
+  const [existe] = await file.exists();
+  if (!existe) return 'faltante';
+
+  const [metadata] = await file.getMetadata();
+  if (!(Number(metadata.size) > 0)) return 'corrupto';
+
+  const [cabecera] = await file.download({ start: 0, end: 4 });
+  return cabecera.toString('latin1') === '%PDF-' ? 'ok' : 'corrupto';
+}
+
+/**
+ * Rehace el XML y el PDF de un pago aprobado si faltan o están dañados.
+ * Con `forzar` se regeneran aunque el archivo actual parezca correcto.
+ * El número del comprobante no cambia: se reutiliza el correlativo ya asignado.
+ */
+export async function regenerarComprobante(paymentId, { forzar = false } = {}) {
+  const context = 'REGENERAR_COMPROBANTE';
+
+  if (!db || !bucket) return { status: 'error', message: 'Firebase no disponible' };
+
+  const pagoSnap = await db.collection("pagos_registrados").doc(paymentId).get();
+  if (!pagoSnap.exists) return { status: 'not_found', message: 'Pago no encontrado' };
+
+  const pago = pagoSnap.data();
+  if (!pago.procesado) {
+    return { status: 'rechazado', message: 'El pago no está aprobado: no tiene comprobante que regenerar' };
+  }
+
+  const estadoArchivo = await estadoArchivoComprobante(pago, paymentId);
+  if (estadoArchivo === 'ok' && !forzar) {
+    return { status: 'success', regenerado: false, estadoArchivo };
+  }
+
+  try {
+    const { pdfPath, xmlPath } = await emitirComprobantePago(paymentId, datosComprobanteDePago(pago, paymentId), {
+      comprobanteRegeneradoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (!pdfPath) return { status: 'error', message: 'No se pudo subir el PDF regenerado' };
+
+    logger.info(context, 'Comprobante regenerado', { paymentId, estadoArchivo, pdfPath });
+    return { status: 'success', regenerado: true, estadoArchivo, pdfPath, xmlPath };
+  } catch (error) {
+    logger.error(context, 'Error regenerando comprobante', error, { paymentId });
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * Recorre los pagos aprobados y regenera los comprobantes que faltan.
+ * Sin `verificarArchivos` solo revisa si el pago tiene ruta del PDF (rápido);
+ * con él también descarga la cabecera de cada archivo para detectar los dañados.
+ * Con `simular` solo informa lo que haría.
+ */
+export async function backfillComprobantes({ limite = 1000, verificarArchivos = false, simular = false } = {}) {
+  const context = 'BACKFILL_COMPROBANTES';
+  const reporte = { revisados: 0, regenerados: [], pendientes: [], fallidos: [] };
+
+  if (!db || !bucket) throw new Error('Firebase no disponible');
+
+  const limiteReciente = Date.now() - MARGEN_REGENERACION_MS;
+  let ultimoDoc = null;
+
+  while (reporte.revisados < limite) {
+    let query = db.collection("pagos_registrados")
+      .where('procesado', '==', true)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(Math.min(TAMANO_PAGINA_BACKFILL, limite - reporte.revisados));
+    if (ultimoDoc) query = query.startAfter(ultimoDoc);
+
+    const snap = await query.get();
+    if (snap.empty) break;
+    ultimoDoc = snap.docs[snap.docs.length - 1];
+
+    for (const doc of snap.docs) {
+      reporte.revisados++;
+      const pago = doc.data();
+      if ((aFecha(pago.procesadoEn)?.getTime() || 0) > limiteReciente) continue;
+
+      try {
+        const estadoArchivo = verificarArchivos
+          ? await estadoArchivoComprobante(pago, doc.id)
+          : (rutaPdfComprobante(pago, doc.id) ? 'ok' : 'faltante');
+        if (estadoArchivo === 'ok') continue;
+
+        if (simular) {
+          reporte.pendientes.push({ paymentId: doc.id, estadoArchivo });
+          continue;
+        }
+
+        const result = await regenerarComprobante(doc.id, { forzar: true });
+        if (result.status === 'success') {
+          reporte.regenerados.push({ paymentId: doc.id, estadoArchivo, pdfPath: result.pdfPath });
+        } else {
+          reporte.fallidos.push({ paymentId: doc.id, estadoArchivo, error: result.message });
+        }
+      } catch (error) {
+        reporte.fallidos.push({ paymentId: doc.id, error: error.message });
+      }
+    }
+
+    if (snap.size < TAMANO_PAGINA_BACKFILL) break;
+  }
+
+  logger.info(context, 'Backfill de comprobantes terminado', {
+    revisados: reporte.revisados,
+    regenerados: reporte.regenerados.length,
+    pendientes: reporte.pendientes.length,
+    fallidos: reporte.fallidos.length
+  });
+  return reporte;
+}
+
+// La ACL allUsers es la que dejaba makePublic(); sin ella el archivo ya es privado (404)
+async function quitarAccesoPublico(archivo, { simular }) {
+  try {
+    if (simular) await archivo.acl.get({ entity: 'allUsers' });
+    else await archivo.acl.delete({ entity: 'allUsers' });
+    return true;
+  } catch (error) {
+    if (error.code === 404) return false;
+    throw error;
+  }
+}
+
+/**
+ * Migración única: quita el acceso público de los comprobantes subidos con makePublic()
+ * antes de los comprobantes privados (sus URLs de storage.googleapis.com dejan de servir).
+ * Con `simular` solo informa cuáles siguen públicos.
+ */
+export async function privatizarComprobantes({ limite = 100000, simular = false } = {}) {
+  const context = 'PRIVATIZAR_COMPROBANTES';
+  const reporte = { revisados: 0, privatizados: [], fallidos: [] };
+
+  if (!bucket) throw new Error('Firebase Storage no disponible');
+
+  let consulta = { prefix: PREFIJO_COMPROBANTES, maxResults: TAMANO_PAGINA_BACKFILL, autoPaginate: false };
+  while (consulta && reporte.revisados < limite) {
+    const [archivos, siguiente] = await bucket.getFiles(consulta);
+
+    for (const archivo of archivos) {
+      if (reporte.revisados >= limite) break;
+      reporte.revisados++;
+      try {
+        if (await quitarAccesoPublico(archivo, { simular })) reporte.privatizados.push(archivo.name);
+      } catch (error) {
+        reporte.fallidos.push({ archivo: archivo.name, error: error.message });
+      }
+    }
+
+    consulta = siguiente;
+  }
+
+  logger.info(context, simular ? 'Comprobantes públicos detectados' : 'Comprobantes públicos privatizados', {
+    revisados: reporte.revisados,
+    privatizados: reporte.privatizados.length,
+    fallidos: reporte.fallidos.length
+  });
+  return reporte;
+}
@@ -0,0 +1,238 @@
+import moment from "moment-timezone";
+import { db } from './negocios.js';
+import { TIPOS_COMPROBANTE, EMISOR, calcularTotales } from './pdfGenerator.js';
+import { numeroComprobantePago, tipoNotaCredito } from './comprobantes.js';
+import { logger } from './seguridad.js';
+
+// ================================================================
+// 📒 REGISTRO DE VENTAS (CSV Y PLE 14.1)
+// ================================================================
+
+const ZONA_HORARIA = 'America/Lima';
+// Los comprobantes se emiten en la misma transacción que aprueba el pago, pero la fecha del
+// servidor puede diferir unos segundos: se consulta con margen y se filtra por fecha de emisión
+const MARGEN_CONSULTA_HORAS = 24;
+
+// Tabla 2 SUNAT: 6 = RUC, 0 = sin documento (boletas a clientes varios)
+const DOC_CLIENTE_RUC = '6';
+const DOC_CLIENTE_VARIOS = '0';
+
+function aFecha(valor) {
+  if (!valor) return null;
+  return typeof valor.toDate === 'function' ? valor.toDate() : new Date(valor);
+}
+
+/**
+ * Convierte '2026-10' o '202610' en el rango del mes (hora de Lima)
+ */
+export function rangoPeriodo(periodo) {
+  const limpio = String(periodo || '').replace('-', '');
+  if (!/^\d{6}$/.test(limpio)) return null;
+
+  const inicio = moment.tz(limpio, 'YYYYMM', true, ZONA_HORARIA);
+  if (!inicio.isValid()) return null;
+  return { periodo: limpio, inicio: inicio.toDate(), fin: inicio.clone().add(1, 'month').toDate() };
+}
+
+// Separa 'B001-00000042' en serie y correlativo (comprobantes anteriores a la numeración correlativa)
+function separarNumero(numero) {
+  const [serie, correlativo] = String(numero).split('-');
+  return { serie, correlativo: String(parseInt(correlativo, 10) || correlativo) };
+}
+
+function datosCliente(pago) {
+  if (pago.datosFacturacion?.ruc) {
+    return {
+      tipoDocCliente: DOC_CLIENTE_RUC,
+      numDocCliente: pago.datosFacturacion.ruc,
+      nombreCliente: pago.datosFacturacion.razonSocial
+    };
+  }
+  return { tipoDocCliente: DOC_CLIENTE_VARIOS, numDocCliente: '-', nombreCliente: 'CLIENTES VARIOS' };
+}
+
+function filaComprobante(pago, paymentId) {
+  const tipo = pago.comprobante?.tipo || 'boleta';
+  const numero = pago.comprobante
+    ? { serie: pago.comprobante.serie, correlativo: String(pago.comprobante.correlativo) }
+    : separarNumero(numeroComprobantePago(pago, paymentId));
+  const { opGravada, igv, total } = calcularTotales(pago.monto);
+
+  return {
+    paymentId,
+    cuo: paymentId,
+    fechaEmision: aFecha(pago.comprobante?.emitidoEn) || aFecha(pago.procesadoEn),
+    tipo,
+    codigoTipo: TIPOS_COMPROBANTE[tipo].codigo,
+    ...numero,
+    ...datosCliente(pago),
+    baseImponible: opGravada,
+    igv,
+    total,
+    moneda: 'PEN',
+    referencia: null,
+    revertido: !!pago.revertido
+  };
+}
+
+// La nota de crédito anula el comprobante completo: importes en negativo y referencia al original
+function filaNotaCredito(pago, paymentId) {
+  const original = filaComprobante(pago, paymentId);
+  const tipo = pago.notaCredito.tipo || tipoNotaCredito(pago);
+
+  return {
+    ...original,
+    cuo: `${paymentId}-NC`,
+    fechaEmision: aFecha(pago.notaCredito.emitidoEn) || aFecha(pago.revertidoEn),
+    tipo,
+    codigoTipo: TIPOS_COMPROBANTE[tipo].codigo,
+    serie: pago.notaCredito.serie,
+    correlativo: String(pago.notaCredito.correlativo),
+    baseImponible: -original.baseImponible,
+    igv: -original.igv,
+    total: -original.total,
+    referencia: {
+      fechaEmision: original.fechaEmision,
+      codigoTipo: original.codigoTipo,
+      serie: original.serie,
+      correlativo: original.correlativo
+    },
+    revertido: false
+  };
+}
+
+async function pagosEnRango(campo, { inicio, fin }) {
+  const margenMs = MARGEN_CONSULTA_HORAS * 60 * 60 * 1000;
+  const snap = await db.collection("pagos_registrados")
+    .where(campo, '>=', new Date(inicio.getTime() - margenMs))
+    .where(campo, '<', new Date(fin.getTime() + margenMs))
+    .get();
+  return snap.docs;
+}
+
+/**
+ * Comprobantes emitidos en el periodo: boletas y facturas de los pagos aprobados y
+ * notas de crédito de los pagos revertidos (en el mes en que se emitió la nota).
+ * Las reversiones anteriores a la serie de notas de crédito no tienen número y se omiten.
+ */
+export async function obtenerRegistroVentas(periodo) {
+  const context = 'REGISTRO_VENTAS';
+  const rango = rangoPeriodo(periodo);
+  if (!rango) return { status: 'rechazado', message: 'Periodo no válido (formato AAAA-MM)' };
+
+  const enPeriodo = (fila) => fila.fechaEmision && fila.fechaEmision >= rango.inicio && fila.fechaEmision < rango.fin;
+  const [aprobados, revertidos] = await Promise.all([
+    pagosEnRango('procesadoEn', rango),
+    pagosEnRango('revertidoEn', rango)
+  ]);
+
+  const filas = aprobados
+    .filter(doc => doc.data().procesado)
+    .map(doc => filaComprobante(doc.data(), doc.id))
+    .filter(enPeriodo);
+
+  let notasSinNumero = 0;
+  for (const doc of revertidos) {
+    const pago = doc.data();
+    if (!pago.revertido || !pago.procesado) continue;
+    if (!pago.notaCredito?.correlativo) {
+      notasSinNumero++;
+      continue;
+    }
+    const fila = filaNotaCredito(pago, doc.id);
+    if (enPeriodo(fila)) filas.push(fila);
+  }
+
+  filas.sort((a, b) => a.fechaEmision - b.fechaEmision || a.serie.localeCompare(b.serie) || a.correlativo - b.correlativo);
+
+  const redondear = (valor) => Math.round(valor * 100) / 100;
+  const totales = filas.reduce((acc, fila) => ({
+    baseImponible: redondear(acc.baseImponible + fila.baseImponible),
+    igv: redondear(acc.igv + fila.igv),
+    total: redondear(acc.total + fila.total)
+  }), { baseImponible: 0, igv: 0, total: 0 });
+
+  if (notasSinNumero) logger.warn(context, 'Reversiones sin nota de crédito numerada omitidas', { periodo: rango.periodo, notasSinNumero });
+  logger.info(context, 'Registro de ventas generado', { periodo: rango.periodo, comprobantes: filas.length });
+  return { status: 'success', periodo: rango.periodo, filas, totales, notasSinNumero };
+}
+
+const fechaLima = (fecha) => (fecha ? moment(fecha).tz(ZONA_HORARIA).format('DD/MM/YYYY') : '');
+const importe = (valor) => Number(valor).toFixed(2);
+
+function celdaCSV(valor) {
+  const texto = valor === null || valor === undefined ? '' : String(valor);
+  return /[",\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Registro de ventas en CSV (con BOM para que Excel respete las tildes)
+ */
+export function registroVentasCSV({ periodo, filas }) {
+  const encabezado = [
+    'fecha_emision', 'tipo_comprobante', 'serie', 'correlativo', 'tipo_doc_cliente', 'num_doc_cliente',
+    'cliente', 'base_imponible', 'igv', 'total', 'moneda', 'ref_fecha', 'ref_tipo', 'ref_serie',
+    'ref_correlativo', 'revertido', 'payment_id'
+  ];
+  const lineas = filas.map(fila => [
+    fechaLima(fila.fechaEmision), fila.codigoTipo, fila.serie, fila.correlativo, fila.tipoDocCliente,
+    fila.numDocCliente, fila.nombreCliente, importe(fila.baseImponible), importe(fila.igv), importe(fila.total),
+    fila.moneda, fechaLima(fila.referencia?.fechaEmision), fila.referencia?.codigoTipo, fila.referencia?.serie,
+    fila.referencia?.correlativo, fila.revertido ? 'SI' : 'NO', fila.paymentId
+  ].map(celdaCSV).join(','));
+
+  return {
+    nombreArchivo: `registro_ventas_${periodo}.csv`,
+    contenido: '\uFEFF' + [encabezado.join(','), ...lineas].join('\n') + '\n'
+  };
+}
+
+/**
+ * Registro de ventas en formato PLE 14.1 (campos separados por |, una línea por comprobante).
+ * Nombre: LE + RUC + AAAAMM00 + 140100 + oportunidad 00 + con/sin operaciones + contenido + moneda + 1
+ */
+export function registroVentasPLE({ periodo, filas }) {
+  const lineas = filas.map((fila, i) => [
+    `${periodo}00`,
+    fila.cuo,
+    `M${i + 1}`,
+    fechaLima(fila.fechaEmision),
+    '',
+    fila.codigoTipo,
+    fila.serie,
+    fila.correlativo,
+    '',
+    fila.tipoDocCliente,
+    fila.numDocCliente,
+    String(fila.nombreCliente).replace(/\|/g, ' '),
+    '0.00',
+    importe(fila.baseImponible),
+    '0.00',
+    importe(fila.igv),
+    '0.00',
+    '0.00',
+    '0.00',
+    '0.00',
+    '0.00',
+    '0.00',
+    '0.00',
+    '0.00',
+    importe(fila.total),
+    fila.moneda,
+    '1.000',
+    fechaLima(fila.referencia?.fechaEmision),
+    fila.referencia?.codigoTipo || '',
+    fila.referencia?.serie || '',
+    fila.referencia?.correlativo || '',
+    '',
+    '',
+    '',
+    '1'
+  ].join('|') + '|');
+
+  const conOperaciones = filas.length ? '1' : '0';
+  return {
+    nombreArchivo: `LE${EMISOR.ruc}${periodo}0014010000${conOperaciones}111.txt`,
+    contenido: lineas.length ? lineas.join('\r\n') + '\r\n' : ''
+  };
+}
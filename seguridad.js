@@ -1,5 +1,6 @@
 import crypto from "crypto";
 import axios from "axios";
+import admin from "firebase-admin";
 
 // ================================================================
 // 📋 LOGS MEJORADOS
@@ -36,35 +37,311 @@ export function getClientIp(req) {
 }
 
 // ================================================================
-// 🛡️ SISTEMA DE BLOQUEO DE INTENTOS FALLIDOS (CACHÉ EN MEMORIA)
+// 🔑 AUTENTICACIÓN CON FIREBASE (ID TOKEN / COOKIE DE SESIÓN)
+// ================================================================
+
+export const SESSION_COOKIE_NAME = '__session';
+export const SESSION_DURATION_MS = 14 * 24 * 60 * 60 * 1000; // Máximo permitido por Firebase
+
+function normalizarUsuario(decoded) {
+  return {
+    uid: decoded.uid,
+    email: decoded.email || null,
+    emailVerified: decoded.email_verified === true,
+    claims: decoded
+  };
+}
+
+/**
+ * Verifica un ID token de Firebase y devuelve el usuario normalizado (o null)
+ */
+export async function verificarIdToken(idToken) {
+  if (!idToken || typeof idToken !== 'string') return null;
+  try {
+    const decoded = await admin.auth().verifyIdToken(idToken, true);
+    return normalizarUsuario(decoded);
+  } catch (error) {
+    logger.warn('AUTH', 'ID token inválido o revocado', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Crea una cookie de sesión firmada a partir de un ID token recién emitido
+ */
+export async function crearCookieSesion(idToken) {
+  try {
+    return await admin.auth().createSessionCookie(idToken, { expiresIn: SESSION_DURATION_MS });
+  } catch (error) {
+    logger.warn('AUTH', 'No se pudo crear la cookie de sesión', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Autentica la petición con el header Authorization: Bearer <idToken>
+ * o, en su defecto, con la cookie de sesión firmada.
+ */
+export async function autenticarSolicitud(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return verificarIdToken(authHeader.substring(7));
+  }
+
+  const sessionCookie = req.cookies?.[SESSION_COOKIE_NAME];
+  if (sessionCookie) {
+    try {
+      const decoded = await admin.auth().verifySessionCookie(sessionCookie, true);
+      return normalizarUsuario(decoded);
+    } catch (error) {
+      logger.warn('AUTH', 'Cookie de sesión inválida o expirada', { error: error.message });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Middleware: exige un usuario autenticado y lo expone en req.user
+ */
+export async function requireAuth(req, res, next) {
+  if (!admin.apps.length) {
+    return res.status(503).json({ success: false, error: 'Autenticación no disponible' });
+  }
+
+  const user = await autenticarSolicitud(req);
+  if (!user) {
+    logger.warn('AUTH', 'Petición no autenticada rechazada', { path: req.path, ip: getClientIp(req) });
+    return res.status(401).json({ success: false, error: 'No autorizado' });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Middleware: exige el custom claim `admin` en el token del usuario
+ */
+export async function requireAdmin(req, res, next) {
+  await requireAuth(req, res, () => {
+    if (req.user.claims.admin !== true) {
+      logger.warn('AUTH', 'Acceso administrativo denegado', { uid: req.user.uid, path: req.path });
+      return res.status(403).json({ success: false, error: 'Acceso restringido a administradores' });
+    }
+    next();
+  });
+}
+
+// ================================================================
+// 🧾 FIRMA DE WEBHOOKS DE MERCADO PAGO
+// ================================================================
+
+export const WEBHOOK_TOLERANCIA_MS = 5 * 60 * 1000;
+
+/**
+ * Valida los headers x-signature / x-request-id de una notificación de Mercado Pago.
+ * El manifiesto firmado es `id:<data.id>;request-id:<x-request-id>;ts:<ts>;` (HMAC-SHA256).
+ */
+export function verificarFirmaMercadoPago({ xSignature, xRequestId, dataId, secret, ahora = Date.now() }) {
+  if (!secret) return { valido: false, motivo: 'secret_no_configurado' };
+  if (!xSignature || typeof xSignature !== 'string') return { valido: false, motivo: 'firma_ausente' };
+
+  const partes = Object.fromEntries(xSignature.split(',').map(parte => {
+    const [clave, ...valor] = parte.trim().split('=');
+    return [clave, valor.join('=')];
+  }));
+  const { ts, v1 } = partes;
+  if (!ts || !v1) return { valido: false, motivo: 'firma_malformada' };
+
+  // Mercado Pago envía ts en segundos o milisegundos según la versión de la notificación
+  const tsNum = Number(ts);
+  const tsMs = tsNum > 1e12 ? tsNum : tsNum * 1000;
+  if (!Number.isFinite(tsMs) || Math.abs(ahora - tsMs) > WEBHOOK_TOLERANCIA_MS) {
+    return { valido: false, motivo: 'timestamp_fuera_de_ventana', ts, v1 };
+  }
+
+  let manifiesto = '';
+  if (dataId) {
+    const id = String(dataId);
+    manifiesto += `id:${/^[a-z0-9]+$/i.test(id) ? id.toLowerCase() : id};`;
+  }
+  if (xRequestId) manifiesto += `request-id:${xRequestId};`;
+  manifiesto += `ts:${ts};`;
+
+  const esperado = crypto.createHmac('sha256', secret).update(manifiesto).digest('hex');
+  const coincide = esperado.length === v1.length &&
+    crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(v1));
+
+  return coincide ? { valido: true, ts, v1 } : { valido: false, motivo: 'firma_invalida', ts, v1 };
+}
+
+// ================================================================
+// 🧾 FIRMA DE PARÁMETROS DE FLOW
+// ================================================================
+
+/**
+ * Firma de Flow: parámetros ordenados por nombre y concatenados como nombre+valor
+ * (sin separadores), HMAC-SHA256 con la secretKey en hexadecimal. Se excluye `s`.
+ */
+export function firmarParametrosFlow(params, secret) {
+  const manifiesto = Object.keys(params)
+    .filter(clave => clave !== 's' && params[clave] !== undefined && params[clave] !== null)
+    .sort()
+    .map(clave => `${clave}${params[clave]}`)
+    .join('');
+  return crypto.createHmac('sha256', secret).update(manifiesto).digest('hex');
+}
+
+/**
+ * Valida el parámetro `s` de una llamada de Flow contra el resto de parámetros
+ */
+export function verificarFirmaFlow(params, secret) {
+  if (!secret) return { valido: false, motivo: 'secret_no_configurado' };
+  const firma = params?.s;
+  if (!firma || typeof firma !== 'string') return { valido: false, motivo: 'firma_ausente' };
+
+  const esperado = firmarParametrosFlow(params, secret);
+  const coincide = esperado.length === firma.length &&
+    crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(firma));
+
+  return coincide ? { valido: true } : { valido: false, motivo: 'firma_invalida' };
+}
+
+// ================================================================
+// 🛡️ SISTEMA DE BLOQUEO DE INTENTOS FALLIDOS (ALMACÉN PERSISTENTE)
 // ================================================================
 
 export const MAX_LOGIN_ATTEMPTS = 5;
+export const MAX_LOGIN_ATTEMPTS_IP = 20;
 export const BLOCK_DURATION_HOURS = 6;
 export const BLOCK_DURATION_MS = BLOCK_DURATION_HOURS * 60 * 60 * 1000;
+export const ATTEMPTS_RETENTION_MS = 24 * 60 * 60 * 1000;
 
-// Caché en memoria para intentos de login
-export const loginAttemptsCache = new Map();
+export const COLECCION_INTENTOS_LOGIN = "intentos_login";
+
+function claveIntentos(tipo, valor) {
+  const hash = crypto.createHash('sha256').update(String(valor).toLowerCase()).digest('hex');
+  return `${tipo}_${hash}`;
+}
+
+// Momento a partir del cual el registro puede eliminarse (también usado por la política TTL de Firestore)
+function calcularExpiracion(data) {
+  return data.blockedUntil ? data.blockedUntil : data.lastAttempt + ATTEMPTS_RETENTION_MS;
+}
+
+/**
+ * Almacén en memoria (un solo proceso). Útil en desarrollo y pruebas.
+ */
+export function crearAlmacenMemoria() {
+  const entradas = new Map();
+
+  return {
+    nombre: 'memoria',
+    async obtener(clave) {
+      return entradas.get(clave) || null;
+    },
+    async actualizar(clave, modificar) {
+      const nuevo = modificar(entradas.get(clave) || null);
+      entradas.set(clave, nuevo);
+      return nuevo;
+    },
+    async eliminar(clave) {
+      return entradas.delete(clave);
+    },
+    async listarBloqueados(ahora) {
+      return [...entradas.entries()]
+        .filter(([, data]) => data.blockedUntil && data.blockedUntil > ahora)
+        .map(([clave, data]) => ({ clave, ...data }));
+    },
+    async limpiarExpirados(ahora) {
+      let eliminados = 0;
+      for (const [clave, data] of entradas.entries()) {
+        if (calcularExpiracion(data) < ahora) {
+          entradas.delete(clave);
+          eliminados++;
+        }
+      }
+      return eliminados;
+    }
+  };
+}
+
+/**
+ * Almacén en Firestore, compartido entre todas las máquinas de Fly.io.
+ * Cada actualización se hace en una transacción para no perder intentos concurrentes.
+ */
+export function crearAlmacenFirestore(firestore = () => admin.firestore()) {
+  const coleccion = () => firestore().collection(COLECCION_INTENTOS_LOGIN);
+
+  return {
+    nombre: 'firestore',
+    async obtener(clave) {
+      const snap = await coleccion().doc(clave).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async actualizar(clave, modificar) {
+      const ref = coleccion().doc(clave);
+      return firestore().runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        const nuevo = modificar(snap.exists ? snap.data() : null);
+        t.set(ref, { ...nuevo, expiraEn: new Date(calcularExpiracion(nuevo)) });
+        return nuevo;
+      });
+    },
+    async eliminar(clave) {
+      await coleccion().doc(clave).delete();
+      return true;
+    },
+    async listarBloqueados(ahora) {
+      const snap = await coleccion().where('blockedUntil', '>', ahora).get();
+      return snap.docs.map(doc => ({ clave: doc.id, ...doc.data() }));
+    },
+    async limpiarExpirados(ahora) {
+      const snap = await coleccion().where('expiraEn', '<', new Date(ahora)).limit(400).get();
+      if (snap.empty) return 0;
+      const batch = firestore().batch();
+      snap.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      return snap.size;
+    }
+  };
+}
+
+const almacenMemoria = crearAlmacenMemoria();
+const almacenFirestore = crearAlmacenFirestore();
+let almacenConfigurado = null;
+
+/**
+ * Permite inyectar un almacén concreto (p. ej. crearAlmacenMemoria() en pruebas)
+ */
+export function configurarAlmacenIntentos(almacen) {
+  almacenConfigurado = almacen;
+}
+
+// Firestore por defecto; memoria solo si se pide con LOGIN_ATTEMPTS_STORE=memory.
+// Sin Firebase no se cae a memoria (intentos por instancia, perdidos en cada despliegue): se falla cerrado.
+export function almacenIntentosDisponible() {
+  return Boolean(almacenConfigurado) || process.env.LOGIN_ATTEMPTS_STORE === 'memory' || admin.apps.length > 0;
+}
+
+function obtenerAlmacen() {
+  if (almacenConfigurado) return almacenConfigurado;
+  if (process.env.LOGIN_ATTEMPTS_STORE === 'memory') return almacenMemoria;
+  if (!admin.apps.length) throw new Error('Almacén de intentos de login no disponible: Firebase no está inicializado');
+  return almacenFirestore;
+}
 
 // Limpiar entradas expiradas cada hora
-setInterval(() => {
-  const now = Date.now();
-  let expiredCount = 0;
-  
-  for (const [email, data] of loginAttemptsCache.entries()) {
-    if (data.blockedUntil && data.blockedUntil < now) {
-      loginAttemptsCache.delete(email);
-      expiredCount++;
-    } else if (!data.blockedUntil && (now - data.lastAttempt) > 24 * 60 * 60 * 1000) {
-      loginAttemptsCache.delete(email);
-      expiredCount++;
+setInterval(async () => {
+  try {
+    const expiredCount = await obtenerAlmacen().limpiarExpirados(Date.now());
+    if (expiredCount > 0) {
+      logger.info('CACHE_CLEANUP', `Limpiadas ${expiredCount} entradas expiradas de intentos de login`);
     }
+  } catch (error) {
+    logger.error('CACHE_CLEANUP', 'Error limpiando intentos de login expirados', error);
   }
-  
-  if (expiredCount > 0) {
-    logger.info('CACHE_CLEANUP', `Limpiadas ${expiredCount} entradas expiradas de loginAttemptsCache`);
-  }
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 /**
  * Obtener información de geolocalización por IP
@@ -115,46 +392,63 @@ export async function getLocationFromIP(ip) {
   }
 }
 
+function evaluarBloqueo(data, now) {
+  if (!data) return { isBlocked: false, attempts: 0 };
+
+  const { attempts, blockedUntil } = data;
+  if (blockedUntil && blockedUntil > now) {
+    return {
+      isBlocked: true,
+      attempts,
+      blockedUntil: new Date(blockedUntil),
+      remainingMinutes: Math.ceil((blockedUntil - now) / (1000 * 60))
+    };
+  }
+
+  // Bloqueo vencido o intentos antiguos: se consideran reseteados
+  if (blockedUntil || now - data.lastAttempt > ATTEMPTS_RETENTION_MS) {
+    return { isBlocked: false, attempts: 0 };
+  }
+
+  return { isBlocked: false, attempts: attempts || 0 };
+}
+
 /**
- * Verificar si un usuario está bloqueado
+ * Verificar si un usuario (por email) o una IP están bloqueados
  */
-export async function checkLoginBlock(email) {
+export async function checkLoginBlock(email, ip = null) {
   const context = 'CHECK_LOGIN_BLOCK';
 
+  // Sin almacén compartido no se puede saber si la cuenta está bloqueada: se rechaza el login
+  if (!almacenIntentosDisponible()) {
+    logger.error(context, 'Almacén de intentos no disponible; login rechazado', { email, ip });
+    return { isBlocked: true, attempts: 0, blockedBy: 'almacen_no_disponible', remainingMinutes: null, error: true };
+  }
+
   try {
     const now = Date.now();
-    const attemptData = loginAttemptsCache.get(email);
+    const almacen = obtenerAlmacen();
 
-    if (!attemptData) {
-      return { isBlocked: false, attempts: 0 };
-    }
+    const estadoEmail = evaluarBloqueo(await almacen.obtener(claveIntentos('email', email)), now);
+    const estadoIp = ip ? evaluarBloqueo(await almacen.obtener(claveIntentos('ip', ip)), now) : { isBlocked: false };
 
-    const { attempts, blockedUntil } = attemptData;
+    const bloqueo = estadoEmail.isBlocked ? { ...estadoEmail, blockedBy: 'email' }
+      : estadoIp.isBlocked ? { ...estadoIp, blockedBy: 'ip' }
+      : null;
 
-    if (blockedUntil && blockedUntil > now) {
-      const remainingMinutes = Math.ceil((blockedUntil - now) / (1000 * 60));
-      logger.warn(context, 'Usuario bloqueado', { 
-        email, 
-        attempts, 
-        blockedUntil: new Date(blockedUntil).toISOString(),
-        remainingMinutes 
+    if (bloqueo) {
+      logger.warn(context, 'Usuario bloqueado', {
+        email,
+        ip,
+        blockedBy: bloqueo.blockedBy,
+        attempts: bloqueo.attempts,
+        blockedUntil: bloqueo.blockedUntil.toISOString(),
+        remainingMinutes: bloqueo.remainingMinutes
       });
-
-      return {
-        isBlocked: true,
-        attempts,
-        blockedUntil: new Date(blockedUntil),
-        remainingMinutes
-      };
+      return bloqueo;
     }
 
-    if (blockedUntil && blockedUntil <= now) {
-      loginAttemptsCache.delete(email);
-      logger.info(context, 'Bloqueo expirado, intentos reseteados', { email });
-      return { isBlocked: false, attempts: 0 };
-    }
-
-    return { isBlocked: false, attempts: attempts || 0 };
+    return { isBlocked: false, attempts: estadoEmail.attempts };
 
   } catch (error) {
     logger.error(context, 'Error verificando bloqueo', error, { email });
@@ -182,51 +476,67 @@ export function generateFingerprint(req) {
   return crypto.createHash('sha256').update(fingerprint).digest('hex');
 }
 
+function acumularIntento(previo, { tipo, valor, now, ip, userAgent, maxAttempts, forzarBloqueo = false }) {
+  // Un bloqueo vencido o intentos antiguos empiezan un conteo nuevo
+  const vigente = previo && !(previo.blockedUntil && previo.blockedUntil <= now) &&
+    (now - previo.lastAttempt) <= ATTEMPTS_RETENTION_MS;
+
+  const data = vigente ? { ...previo, ips: [...previo.ips], userAgents: [...previo.userAgents] } : {
+    tipo,
+    valor,
+    attempts: 0,
+    firstAttempt: now,
+    lastAttempt: now,
+    ips: [],
+    userAgents: [],
+    blockedUntil: null
+  };
+
+  if (data.blockedUntil && data.blockedUntil > now) return data;
+
+  data.attempts += 1;
+  data.lastAttempt = now;
+  if (!data.ips.includes(ip)) data.ips.push(ip);
+  if (!data.userAgents.includes(userAgent)) data.userAgents.push(userAgent);
+
+  if (data.attempts >= maxAttempts || forzarBloqueo) {
+    data.blockedUntil = now + BLOCK_DURATION_MS;
+    data.blockedAt = now;
+    data.isSuspicious = forzarBloqueo;
+  }
+
+  return data;
+}
+
 /**
- * Registrar un intento fallido de login
+ * Registrar un intento fallido de login (cuenta por email y por IP)
  */
 export async function registerFailedLogin(email, req, deviceModel = null) {
   const context = 'REGISTER_FAILED_LOGIN';
 
   try {
     const now = Date.now();
-    const attemptData = loginAttemptsCache.get(email) || { 
-      attempts: 0, 
-      firstAttempt: now,
-      lastAttempt: now,
-      ips: [],
-      userAgents: []
-    };
-
+    const almacen = obtenerAlmacen();
     const ip = getClientIp(req);
     const userAgent = req.headers['user-agent'] || 'Unknown';
-
-    attemptData.attempts += 1;
-    attemptData.lastAttempt = now;
-    
-    if (!attemptData.ips.includes(ip)) {
-      attemptData.ips.push(ip);
-    }
-    
-    if (!attemptData.userAgents.includes(userAgent)) {
-      attemptData.userAgents.push(userAgent);
-    }
-
     const isCoherent = validateDeviceCoherence(deviceModel, userAgent);
-    const newAttempts = attemptData.attempts;
 
-    if (newAttempts >= MAX_LOGIN_ATTEMPTS || !isCoherent) {
-      const blockedUntil = now + BLOCK_DURATION_MS;
+    const attemptData = await almacen.actualizar(claveIntentos('email', email), previo => acumularIntento(previo, {
+      tipo: 'email', valor: email, now, ip, userAgent, maxAttempts: MAX_LOGIN_ATTEMPTS, forzarBloqueo: !isCoherent
+    }));
 
-      attemptData.blockedUntil = blockedUntil;
-      attemptData.blockedAt = now;
-      attemptData.isSuspicious = !isCoherent;
+    const ipData = ip ? await almacen.actualizar(claveIntentos('ip', ip), previo => acumularIntento(previo, {
+      tipo: 'ip', valor: ip, now, ip, userAgent, maxAttempts: MAX_LOGIN_ATTEMPTS_IP
+    })) : null;
 
-      loginAttemptsCache.set(email, attemptData);
+    const newAttempts = attemptData.attempts;
+    const blockedUntil = attemptData.blockedUntil || (ipData?.blockedUntil > now ? ipData.blockedUntil : null);
 
+    if (blockedUntil) {
       logger.warn(context, '🚫 Usuario bloqueado por intentos fallidos', {
         email,
         attempts: newAttempts,
+        ipAttempts: ipData?.attempts,
         blockedUntil: new Date(blockedUntil).toISOString(),
         isSuspicious: !isCoherent,
         ip
@@ -236,15 +546,15 @@ export async function registerFailedLogin(email, req, deviceModel = null) {
         blocked: true,
         attempts: newAttempts,
         blockedUntil: new Date(blockedUntil),
+        blockedBy: attemptData.blockedUntil ? 'email' : 'ip',
         isSuspicious: !isCoherent
       };
     }
 
-    loginAttemptsCache.set(email, attemptData);
-    
     logger.info(context, 'Intento fallido registrado', {
       email,
       attempts: newAttempts,
+      ipAttempts: ipData?.attempts,
       remaining: MAX_LOGIN_ATTEMPTS - newAttempts
     });
 
@@ -262,15 +572,54 @@ export async function registerFailedLogin(email, req, deviceModel = null) {
 }
 
 /**
- * Resetear intentos de login tras éxito
+ * Resetear intentos de login tras éxito (el contador por IP se mantiene hasta su expiración)
  */
 export async function resetLoginAttempts(email) {
-  if (loginAttemptsCache.has(email)) {
-    loginAttemptsCache.delete(email);
-    logger.info('RESET_LOGIN_ATTEMPTS', 'Intentos reseteados tras login exitoso', { email });
-    return true;
+  try {
+    const almacen = obtenerAlmacen();
+    const clave = claveIntentos('email', email);
+    if (await almacen.obtener(clave)) {
+      await almacen.eliminar(clave);
+      logger.info('RESET_LOGIN_ATTEMPTS', 'Intentos reseteados tras login exitoso', { email });
+      return true;
+    }
+    return false;
+  } catch (error) {
+    logger.error('RESET_LOGIN_ATTEMPTS', 'Error reseteando intentos', error, { email });
+    return false;
   }
-  return false;
+}
+
+/**
+ * Listar bloqueos activos (por email y por IP) para el panel de administración
+ */
+export async function listarBloqueosActivos() {
+  const now = Date.now();
+  const bloqueados = await obtenerAlmacen().listarBloqueados(now);
+  return bloqueados.map(({ clave, tipo, valor, attempts, ips, blockedUntil, isSuspicious }) => ({
+    id: clave,
+    tipo,
+    valor,
+    attempts,
+    ips,
+    isSuspicious: !!isSuspicious,
+    blockedUntil: new Date(blockedUntil).toISOString(),
+    remainingMinutes: Math.ceil((blockedUntil - now) / (1000 * 60))
+  }));
+}
+
+/**
+ * Levantar manualmente un bloqueo por email o por IP
+ */
+export async function levantarBloqueo(tipo, valor) {
+  if (!['email', 'ip'].includes(tipo)) throw new Error(`Tipo de bloqueo ${tipo} no válido`);
+  const almacen = obtenerAlmacen();
+  const clave = claveIntentos(tipo, valor);
+  const existente = await almacen.obtener(clave);
+  if (!existente) return false;
+  await almacen.eliminar(clave);
+  logger.info('LIFT_LOGIN_BLOCK', 'Bloqueo levantado manualmente', { tipo, valor });
+  return true;
 }
 
 // ================================================================
@@ -0,0 +1,357 @@
+import admin from "firebase-admin";
+import { db, enviarCorreoEstadoSuscripcion, obtenerNombreUsuario } from './negocios.js';
+import { logger } from './seguridad.js';
+
+// ================================================================
+// ⏰ RECORDATORIOS DE VENCIMIENTO Y SALDO BAJO
+// ================================================================
+
+// Días antes del vencimiento en que se avisa (una vez por hito y por fecha de vencimiento)
+export const HITOS_VENCIMIENTO_DIAS = [7, 3, 1];
+export const UMBRAL_CREDITOS_BAJOS = parseInt(process.env.LOW_CREDITS_THRESHOLD || '', 10) || 10;
+const INTERVALO_TAREAS_MS = parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MS || '', 10) || 60 * 60 * 1000;
+const DIA_MS = 24 * 60 * 60 * 1000;
+// Tamaño de página de las consultas de las tareas (pueden traer miles de cuentas)
+const TAMANO_PAGINA_TAREAS = 300;
+
+function aFecha(valor) {
+  if (!valor) return null;
+  return typeof valor.toDate === 'function' ? valor.toDate() : new Date(valor);
+}
+
+/**
+ * Recorre una consulta por páginas (orden estable por `campoOrden` e ID) y llama a
+ * `alDocumento` con cada documento. La consulta no debe traer orderBy ni limit propios.
+ */
+async function recorrerConsulta(consulta, campoOrden, alDocumento) {
+  const paginada = consulta
+    .orderBy(campoOrden)
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(TAMANO_PAGINA_TAREAS);
+
+  let ultimo = null;
+  do {
+    const snap = await (ultimo ? paginada.startAfter(ultimo) : paginada).get();
+    ultimo = snap.size === TAMANO_PAGINA_TAREAS ? snap.docs[snap.size - 1] : null;
+    for (const doc of snap.docs) await alDocumento(doc);
+  } while (ultimo);
+}
+
+/**
+ * Hito que corresponde a los días que faltan: el menor de HITOS_VENCIMIENTO_DIAS
+ * que todavía los cubre (con 5 días restantes toca el de 7; con 2, el de 3).
+ * Los hitos que duran lo mismo o más que el plan se omiten: un plan de 7 días
+ * recién comprado no debe avisar que vence en 7 días.
+ */
+export function hitoVencimiento(diasRestantes, duracionDias = null) {
+  return [...HITOS_VENCIMIENTO_DIAS]
+    .filter(hito => !duracionDias || hito < duracionDias)
+    .sort((a, b) => a - b)
+    .find(hito => diasRestantes <= hito) ?? null;
+}
+
+/**
+ * Duración total del plan vigente en días: `duracionDias` en usuarios (suma las
+ * extensiones) y desde `activatedAt` en empresas. null si no se puede saber.
+ */
+export function duracionPlanDias(data, tipo, vence) {
+  if (tipo === 'ilimitado') return Number(data.duracionDias) || null;
+  const inicio = aFecha(data.activatedAt);
+  return inicio ? Math.round((vence - inicio) / DIA_MS) : null;
+}
+
+/**
+ * Marca el hito en `recordatoriosSuscripcion` del documento dentro de una transacción,
+ * para que dos instancias no envíen el mismo aviso. Devuelve false si ya estaba marcado.
+ * `marca` identifica el ciclo: la fecha de vencimiento o la última compra de créditos.
+ */
+async function reclamarRecordatorio(ref, clave, marca) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (snap.data()?.recordatoriosSuscripcion?.[clave]?.marca === marca) return false;
+    t.set(ref, {
+      recordatoriosSuscripcion: {
+        [clave]: { marca, enviadoEn: admin.firestore.FieldValue.serverTimestamp() }
+      }
+    }, { merge: true });
+    return true;
+  });
+}
+
+// Si el correo no sale, se libera el hito para reintentarlo en la siguiente ejecución
+async function liberarRecordatorio(ref, clave) {
+  await ref.update({ [`recordatoriosSuscripcion.${clave}`]: admin.firestore.FieldValue.delete() });
+}
+
+async function enviarRecordatorio(ref, clave, marca, { email, nombre, estado }, resend) {
+  if (!email) return 'sin_email';
+  if (!await reclamarRecordatorio(ref, clave, marca)) return 'ya_enviado';
+
+  const envio = await enviarCorreoEstadoSuscripcion(email, nombre, estado, resend);
+  if (!envio.success) {
+    await liberarRecordatorio(ref, clave);
+    return 'error';
+  }
+  return 'enviado';
+}
+
+/**
+ * Avisos de planes ilimitados (usuarios) y Revenue Recovery (empresas) que vencen
+ * dentro de los próximos HITOS_VENCIMIENTO_DIAS días
+ */
+async function recordarVencimientos(resend, ahora, reporte) {
+  const limite = new Date(ahora.getTime() + Math.max(...HITOS_VENCIMIENTO_DIAS) * DIA_MS);
+
+  const [usuarios, empresas] = await Promise.all([
+    db.collection("usuarios").where('planIlimitadoHasta', '>', ahora).where('planIlimitadoHasta', '<=', limite).get(),
+    db.collection("empresas").where('planExpiry', '>', ahora).where('planExpiry', '<=', limite).get()
+  ]);
+
+  const candidatos = [
+    ...usuarios.docs
+      .filter(doc => doc.data().tipoPlan === 'ilimitado')
+      .map(doc => ({ doc, tipo: 'ilimitado', vence: aFecha(doc.data().planIlimitadoHasta) })),
+    ...empresas.docs
+      .filter(doc => doc.data().planStatus === 'active')
+      .map(doc => ({ doc, tipo: 'revenue_recovery', vence: aFecha(doc.data().planExpiry) }))
+  ];
+
+  for (const { doc, tipo, vence } of candidatos) {
+    const data = doc.data();
+    const diasRestantes = Math.ceil((vence - ahora) / DIA_MS);
+    const hito = hitoVencimiento(diasRestantes, duracionPlanDias(data, tipo, vence));
+    if (!hito) continue;
+
+    const resultado = await enviarRecordatorio(doc.ref, `vencimiento_${hito}d`, vence.toISOString(), {
+      email: data.email,
+      nombre: data.name || data.displayName || data.nombre,
+      estado: { tipo, diasRestantes, fechaVencimiento: vence, nombrePlan: data.plan }
+    }, resend);
+    reporte[resultado] = (reporte[resultado] || 0) + 1;
+  }
+}
+
+/**
+ * Última compra de un paquete de créditos. Las cuentas anteriores a `ultimaCompraCreditos`
+ * usan `ultimaCompra` solo si nunca tuvieron plan ilimitado: quien vuelve a créditos al
+ * vencer su plan tiene `ultimaCompra` de esa compra, no de un paquete.
+ */
+export function ultimaCompraCreditos(data) {
+  if (data.ultimaCompraCreditos) return aFecha(data.ultimaCompraCreditos);
+  if (data.fechaActivacion || data.planVencidoEn || data.planIlimitadoHasta) return null;
+  return aFecha(data.ultimaCompra);
+}
+
+/**
+ * Avisos de saldo bajo a quienes ya compraron créditos. Se vuelve a avisar
+ * solo después de una nueva compra (la marca es la fecha de ultimaCompraCreditos).
+ * La consulta se recorre por páginas y los ya avisados en este ciclo se descartan
+ * sin abrir una transacción por cada uno.
+ */
+async function recordarCreditosBajos(resend, reporte) {
+  const consulta = db.collection("usuarios").where('creditos', '<', UMBRAL_CREDITOS_BAJOS);
+
+  await recorrerConsulta(consulta, 'creditos', async (doc) => {
+    const data = doc.data();
+    const compra = data.tipoPlan === 'ilimitado' ? null : ultimaCompraCreditos(data);
+    if (!compra) return;
+
+    const marca = compra.toISOString();
+    if (data.recordatoriosSuscripcion?.creditos_bajos?.marca === marca) {
+      reporte.ya_enviado = (reporte.ya_enviado || 0) + 1;
+      return;
+    }
+
+    const resultado = await enviarRecordatorio(doc.ref, 'creditos_bajos', marca, {
+      email: data.email,
+      nombre: data.name || data.displayName,
+      estado: { tipo: 'creditos', creditosRestantes: data.creditos || 0 }
+    }, resend);
+    reporte[resultado] = (reporte[resultado] || 0) + 1;
+  });
+}
+
+/**
+ * Ejecuta una pasada de recordatorios (vencimientos y saldo bajo)
+ */
+export async function ejecutarRecordatoriosSuscripcion(resend, ahora = new Date()) {
+  const context = 'RECORDATORIOS_SUSCRIPCION';
+  if (!db) return { status: 'error', message: 'Database not available' };
+
+  const reporte = {};
+  await recordarVencimientos(resend, ahora, reporte);
+  await recordarCreditosBajos(resend, reporte);
+
+  logger.info(context, 'Recordatorios de suscripción procesados', reporte);
+  return { status: 'success', reporte };
+}
+
+// ================================================================
+// ⌛ VENCIMIENTO DE PLANES EN EL SERVIDOR
+// ================================================================
+
+// transiciones_plan/{coleccion_uid_vencimiento}: { uid, coleccion, de, a, plan, motivo, vencioEn,
+//   origen, email, correoEnviado, fecha }
+export const COLECCION_TRANSICIONES_PLAN = "transiciones_plan";
+
+export function planIlimitadoVencido(userData, ahora = new Date()) {
+  if (userData?.tipoPlan !== 'ilimitado') return false;
+  const fin = aFecha(userData.planIlimitadoHasta);
+  return !fin || fin <= ahora;
+}
+
+export function planEmpresaVencido(empresaData, ahora = new Date()) {
+  if (empresaData?.planStatus !== 'active') return false;
+  const fin = aFecha(empresaData.planExpiry);
+  return !!fin && fin <= ahora;
+}
+
+/**
+ * Vence el plan dentro de una transacción ya abierta (con las lecturas hechas):
+ * usuarios vuelve a "creditos" y empresas pasa a "expired". Deja la transición en
+ * transiciones_plan; el correo lo envía la tarea a partir de las que no lo tienen.
+ */
+export function aplicarVencimientoPlan(t, ref, data, { coleccion, origen }) {
+  const esEmpresa = coleccion === 'empresas';
+  const vencioEn = aFecha(esEmpresa ? data.planExpiry : data.planIlimitadoHasta);
+  const transicion = esEmpresa
+    ? { de: 'active', a: 'expired', plan: data.plan || 'Revenue Recovery OS' }
+    : { de: 'ilimitado', a: 'creditos', plan: 'Plan Ilimitado' };
+
+  t.update(ref, esEmpresa
+    ? { planStatus: 'expired', planVencidoEn: admin.firestore.FieldValue.serverTimestamp(), updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+    : { tipoPlan: 'creditos', planVencidoEn: admin.firestore.FieldValue.serverTimestamp() });
+
+  const idTransicion = `${coleccion}_${ref.id}_${vencioEn ? vencioEn.getTime() : 'sin_fecha'}`;
+  t.set(db.collection(COLECCION_TRANSICIONES_PLAN).doc(idTransicion), {
+    uid: ref.id,
+    coleccion,
+    ...transicion,
+    motivo: 'vencimiento',
+    vencioEn,
+    origen,
+    email: data.email || null,
+    correoEnviado: false,
+    fecha: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { ...transicion, vencioEn };
+}
+
+/**
+ * Comprobación perezosa: si el plan de la cuenta ya terminó, lo vence en ese momento.
+ * Devuelve los datos de la cuenta ya actualizados.
+ */
+export async function verificarVencimientoCuenta(uid, coleccion = 'usuarios', origen = 'lectura') {
+  const ref = db.collection(coleccion).doc(uid);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) return { existe: false, vencido: false, data: null };
+
+    const data = snap.data();
+    const vencido = coleccion === 'empresas' ? planEmpresaVencido(data) : planIlimitadoVencido(data);
+    if (!vencido) return { existe: true, vencido: false, data };
+
+    const transicion = aplicarVencimientoPlan(t, ref, data, { coleccion, origen });
+    return { existe: true, vencido: true, transicion, data: { ...data, [coleccion === 'empresas' ? 'planStatus' : 'tipoPlan']: transicion.a } };
+  });
+}
+
+async function vencerPlanes(reporte) {
+  const context = 'VENCIMIENTO_PLANES';
+  const ahora = new Date();
+
+  // Solo las cuentas con plan activo y fecha de fin ya pasada; al vencerse salen de la consulta
+  const consultas = [
+    {
+      coleccion: 'usuarios',
+      campoFin: 'planIlimitadoHasta',
+      consulta: db.collection("usuarios").where('tipoPlan', '==', 'ilimitado').where('planIlimitadoHasta', '<=', ahora)
+    },
+    {
+      coleccion: 'empresas',
+      campoFin: 'planExpiry',
+      consulta: db.collection("empresas").where('planStatus', '==', 'active').where('planExpiry', '<=', ahora)
+    }
+  ];
+
+  for (const { coleccion, campoFin, consulta } of consultas) {
+    await recorrerConsulta(consulta, campoFin, async (doc) => {
+      try {
+        const result = await verificarVencimientoCuenta(doc.id, coleccion, 'tarea');
+        if (result.vencido) reporte.planesVencidos = (reporte.planesVencidos || 0) + 1;
+      } catch (error) {
+        logger.error(context, 'Error venciendo plan', error, { uid: doc.id, coleccion });
+      }
+    });
+  }
+}
+
+// Reclama la transición para que solo una instancia envíe el correo
+async function reclamarCorreoTransicion(ref) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (snap.data()?.correoEnviado !== false) return false;
+    t.update(ref, { correoEnviado: true, correoEnviadoEn: admin.firestore.FieldValue.serverTimestamp() });
+    return true;
+  });
+}
+
+async function enviarCorreosVencimiento(resend, reporte) {
+  const snap = await db.collection(COLECCION_TRANSICIONES_PLAN).where('correoEnviado', '==', false).limit(100).get();
+
+  for (const doc of snap.docs) {
+    const transicion = doc.data();
+    if (!transicion.email) continue;
+    if (!await reclamarCorreoTransicion(doc.ref)) continue;
+
+    const nombre = await obtenerNombreUsuario(transicion.uid, transicion.email, transicion.coleccion === 'empresas');
+    const envio = await enviarCorreoEstadoSuscripcion(transicion.email, nombre, {
+      tipo: 'vencido',
+      nombrePlan: transicion.plan,
+      fechaVencimiento: aFecha(transicion.vencioEn)
+    }, resend);
+
+    if (!envio.success) {
+      await doc.ref.update({ correoEnviado: false, correoEnviadoEn: admin.firestore.FieldValue.delete() });
+      reporte.correosVencimientoFallidos = (reporte.correosVencimientoFallidos || 0) + 1;
+    } else {
+      reporte.correosVencimiento = (reporte.correosVencimiento || 0) + 1;
+    }
+  }
+}
+
+/**
+ * Vence los planes que ya terminaron y envía el correo de estado de cada transición
+ * (incluidas las que registró la comprobación perezosa)
+ */
+export async function ejecutarVencimientoPlanes(resend) {
+  const context = 'VENCIMIENTO_PLANES';
+  if (!db) return { status: 'error', message: 'Database not available' };
+
+  const reporte = {};
+  await vencerPlanes(reporte);
+  await enviarCorreosVencimiento(resend, reporte);
+
+  logger.info(context, 'Vencimiento de planes procesado', reporte);
+  return { status: 'success', reporte };
+}
+
+/**
+ * Programa las tareas de suscripción en este proceso. Varias instancias pueden
+ * ejecutarlas a la vez: cada aviso y cada vencimiento se reclaman en una transacción.
+ */
+export function iniciarTareasSuscripcion(resend) {
+  const ejecutar = async () => {
+    try {
+      await ejecutarVencimientoPlanes(resend);
+      await ejecutarRecordatoriosSuscripcion(resend);
+    } catch (error) {
+      logger.error('TAREAS_SUSCRIPCION', 'Error en las tareas de suscripción', error);
+    }
+  };
+
+  setTimeout(ejecutar, 60 * 1000).unref();
+  setInterval(ejecutar, INTERVALO_TAREAS_MS).unref();
+}
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { revertirConsumo, calcularCostoConsumo } from '../creditos.js';
+
+test('un usuario no puede revertir su propio consumo con su token', async () => {
+  const resultado = await revertirConsumo('uid-prueba', 'favorito-123', 'web');
+
+  assert.equal(resultado.status, 'prohibido');
+});
+
+test('consulta_api solo se cobra desde un servicio interno', () => {
+  assert.equal(calcularCostoConsumo('consulta_api', { monto: 5 }, false), null);
+  assert.equal(calcularCostoConsumo('consulta_api', { monto: 5 }, true), 5);
+  assert.equal(calcularCostoConsumo('favorito'), 3);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { datosNotaCredito } from '../negocios.js';
+import { buildInvoiceXML } from '../ublGenerator.js';
+
+const datosFacturacion = { ruc: '20100070970', razonSocial: 'Empresa de Prueba S.A.C.', direccion: 'Av. Principal 123, Lima' };
+
+function pagoConComprobante(tipo, serie) {
+  return {
+    uid: 'uid-prueba',
+    email: 'cliente@example.com',
+    monto: 118,
+    descripcion: 'Paquete de 700 créditos',
+    ...(tipo === 'factura' && { datosFacturacion }),
+    comprobante: { tipo, serie, correlativo: 5, numero: `${serie}-00000005` }
+  };
+}
+
+const notaCredito = (tipo, serie) => ({ tipo, serie, correlativo: 1, emitidoEn: new Date('2026-10-19T15:00:00Z') });
+
+test('la nota de crédito de una factura sale en la serie FC01 con el RUC del adquirente', () => {
+  const pago = pagoConComprobante('factura', 'F001');
+  const nota = datosNotaCredito(pago, 'pago-1', notaCredito('nota_credito_factura', 'FC01'), 'refunded');
+
+  assert.equal(nota.type, 'nota_credito_factura');
+  assert.equal(nota.documentoReferencia, 'F001-00000005');
+  assert.deepEqual(nota.cliente, datosFacturacion);
+
+  const { xml } = buildInvoiceXML(nota);
+  assert.match(xml, /<CreditNote /);
+  assert.match(xml, /<cbc:ID>FC01-00000001<\/cbc:ID>/);
+  assert.match(xml, /<cbc:DocumentTypeCode>01<\/cbc:DocumentTypeCode>/);
+  assert.match(xml, /<cbc:ID schemeID="6">20100070970<\/cbc:ID>/);
+});
+
+test('la nota de crédito de una boleta sigue en la serie BC01', () => {
+  const pago = pagoConComprobante('boleta', 'B001');
+  const nota = datosNotaCredito(pago, 'pago-2', notaCredito('nota_credito', 'BC01'), 'charged_back');
+
+  assert.equal(nota.type, 'nota_credito');
+  assert.equal(nota.motivoNota, 'Anulación por contracargo');
+  assert.match(buildInvoiceXML(nota).xml, /<cbc:ID>BC01-00000001<\/cbc:ID>/);
+});
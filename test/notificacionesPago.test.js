@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { procesarPago } from '../notificacionesPago.js';
+
+// Acciones simuladas: registran cada llamada en lugar de tocar Firestore o enviar correos
+function accionesSimuladas(respuestas = {}) {
+  const llamadas = [];
+  const registrar = (nombre, valor) => async (...args) => {
+    llamadas.push({ nombre, args });
+    return typeof valor === 'function' ? valor(...args) : valor;
+  };
+  return {
+    llamadas,
+    nombres: () => llamadas.map(llamada => llamada.nombre),
+    acciones: {
+      otorgarBeneficio: registrar('otorgarBeneficio', respuestas.otorgarBeneficio ?? { status: 'success' }),
+      revertirBeneficio: registrar('revertirBeneficio', respuestas.revertirBeneficio ?? { status: 'reverted' }),
+      enviarCorreoRechazo: registrar('enviarCorreoRechazo', { success: true }),
+      obtenerNombreUsuario: registrar('obtenerNombreUsuario', 'Cliente'),
+      registrarEstadoPago: registrar('registrarEstadoPago', true),
+      reclamarCorreoRechazo: registrar('reclamarCorreoRechazo', true),
+      vincularPreferencia: registrar('vincularPreferencia', undefined)
+    }
+  };
+}
+
+function pagoBase(campos = {}) {
+  return {
+    proveedor: 'mercadopago',
+    paymentId: '123456',
+    estado: 'approved',
+    monto: 10,
+    montoEsperado: 10,
+    uid: 'uid-prueba',
+    planId: '60_creditos',
+    email: 'cliente@example.com',
+    cupon: null,
+    facturacion: null,
+    externalReference: '123456',
+    ...campos
+  };
+}
+
+test('un pago aprobado otorga el beneficio con el monto fijado en el checkout', async () => {
+  const { acciones, llamadas, nombres } = accionesSimuladas();
+
+  const resultado = await procesarPago(pagoBase({ montoEsperado: 9 }), { origen: 'TEST', acciones });
+
+  assert.deepEqual(resultado, { status: 'success' });
+  assert.deepEqual(nombres(), ['otorgarBeneficio']);
+  const [uid, email, monto, origen, paymentId, , planId, opciones] = llamadas[0].args;
+  assert.equal(uid, 'uid-prueba');
+  assert.equal(email, 'cliente@example.com');
+  assert.equal(monto, 10);
+  assert.equal(origen, 'TEST');
+  assert.equal(paymentId, '123456');
+  assert.equal(planId, '60_creditos');
+  assert.equal(opciones.montoEsperado, 9);
+});
+
+test('un pago aprobado sin uid o plan no otorga nada', async () => {
+  const { acciones, nombres } = accionesSimuladas();
+
+  const resultado = await procesarPago(pagoBase({ uid: null }), { origen: 'TEST', acciones });
+
+  assert.equal(resultado.status, 'error');
+  assert.deepEqual(nombres(), []);
+});
+
+test('un pago de preferencia aprobado se vincula con la preferencia', async () => {
+  const { acciones, nombres } = accionesSimuladas();
+
+  await procesarPago(pagoBase({ externalReference: 'pref_abc' }), { origen: 'TEST', acciones });
+
+  assert.deepEqual(nombres(), ['otorgarBeneficio', 'vincularPreferencia']);
+});
+
+test('si el otorgamiento falla la preferencia no se marca como resuelta', async () => {
+  const { acciones, nombres } = accionesSimuladas({ otorgarBeneficio: { status: 'error', message: 'fallo' } });
+
+  const resultado = await procesarPago(pagoBase({ externalReference: 'pref_abc' }), { origen: 'TEST', acciones });
+
+  assert.equal(resultado.status, 'error');
+  assert.deepEqual(nombres(), ['otorgarBeneficio']);
+});
+
+test('un pago rechazado registra el estado y avisa una sola vez al cliente', async () => {
+  const { acciones, llamadas, nombres } = accionesSimuladas();
+
+  const resultado = await procesarPago(
+    pagoBase({ estado: 'rejected', detalleEstado: 'cc_rejected_insufficient_amount' }),
+    { origen: 'TEST', acciones, resend: {} }
+  );
+
+  assert.deepEqual(resultado, { status: 'rejected' });
+  assert.deepEqual(nombres(), ['registrarEstadoPago', 'reclamarCorreoRechazo', 'obtenerNombreUsuario', 'enviarCorreoRechazo']);
+  assert.deepEqual(llamadas[0].args.slice(0, 2), ['123456', 'rejected']);
+  assert.equal(llamadas[3].args[5], 'cc_rejected_insufficient_amount');
+});
+
+test('un pago rechazado cuyo correo ya se reclamó no se vuelve a notificar', async () => {
+  const { acciones, nombres } = accionesSimuladas();
+  acciones.reclamarCorreoRechazo = async () => false;
+
+  const resultado = await procesarPago(pagoBase({ estado: 'cancelled' }), { origen: 'TEST', acciones, resend: {} });
+
+  assert.deepEqual(resultado, { status: 'cancelled' });
+  assert.deepEqual(nombres(), ['registrarEstadoPago']);
+});
+
+test('un pago reembolsado revierte el beneficio', async () => {
+  const { acciones, llamadas, nombres } = accionesSimuladas();
+
+  const resultado = await procesarPago(pagoBase({ estado: 'refunded' }), { origen: 'TEST', acciones });
+
+  assert.deepEqual(resultado, { status: 'reverted' });
+  assert.deepEqual(nombres(), ['revertirBeneficio']);
+  assert.deepEqual(llamadas[0].args.slice(0, 2), ['123456', 'refunded']);
+});
+
+test('un pago en proceso solo registra el estado', async () => {
+  const { acciones, llamadas, nombres } = accionesSimuladas();
+
+  const resultado = await procesarPago(pagoBase({ estado: 'pending' }), { origen: 'TEST', acciones });
+
+  assert.deepEqual(resultado, { status: 'in_process' });
+  assert.deepEqual(nombres(), ['registrarEstadoPago']);
+  assert.equal(llamadas[0].args[1], 'in_process');
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { firmarParametrosFlow, verificarFirmaFlow } from '../seguridad.js';
+import { llamarFlow, normalizarPagoFlow } from '../pagosFlow.js';
+import { crearServidorFlowSimulado } from '../flowMockServer.js';
+import { crearProveedorFlow, registrarProveedor, obtenerProveedor } from '../proveedoresPago.js';
+
+const apiKey = 'flow-test-key';
+const secretKey = 'flow-test-secret';
+
+let simulado;
+let receptor;
+let config;
+const confirmaciones = [];
+
+function escuchar(app) {
+  return new Promise(resolve => {
+    const servidor = app.listen(0, '127.0.0.1', () => resolve(servidor));
+  });
+}
+
+const urlDe = servidor => `http://127.0.0.1:${servidor.address().port}`;
+
+before(async () => {
+  // Recibe las confirmaciones que el simulado envía como lo haría Flow
+  const appReceptor = express();
+  appReceptor.use(express.urlencoded({ extended: false }));
+  appReceptor.post('/flow/confirmacion', (req, res) => {
+    confirmaciones.push(req.body);
+    res.sendStatus(200);
+  });
+  receptor = await escuchar(appReceptor);
+
+  simulado = await escuchar(crearServidorFlowSimulado({ apiKey, secretKey }));
+  config = { apiUrl: `${urlDe(simulado)}/api`, apiKey, secretKey, moneda: 'PEN' };
+});
+
+after(() => {
+  simulado?.close();
+  receptor?.close();
+});
+
+test('la firma ordena los parámetros, ignora `s` y detecta alteraciones', () => {
+  const params = { commerceOrder: 'orden-1', amount: 10, apiKey };
+  const firma = firmarParametrosFlow(params, secretKey);
+
+  assert.equal(firma, firmarParametrosFlow({ apiKey, amount: 10, commerceOrder: 'orden-1', s: 'otra' }, secretKey));
+  assert.deepEqual(verificarFirmaFlow({ ...params, s: firma }, secretKey), { valido: true });
+  assert.deepEqual(verificarFirmaFlow({ ...params, amount: 1, s: firma }, secretKey), { valido: false, motivo: 'firma_invalida' });
+  assert.deepEqual(verificarFirmaFlow(params, secretKey), { valido: false, motivo: 'firma_ausente' });
+  assert.deepEqual(verificarFirmaFlow({ ...params, s: firma }, undefined), { valido: false, motivo: 'secret_no_configurado' });
+});
+
+test('el proveedor de Flow exige la firma en la confirmación', () => {
+  const proveedor = registrarProveedor(crearProveedorFlow({ config }));
+  assert.equal(obtenerProveedor('flow'), proveedor);
+
+  const sinFirma = proveedor.interpretarNotificacion({ headers: {}, query: {}, body: { token: 'tok-1' } });
+  assert.equal(sinFirma.pagoId, 'tok-1');
+  assert.deepEqual(sinFirma.verificacion, { valido: false, motivo: 'firma_ausente' });
+
+  const s = firmarParametrosFlow({ token: 'tok-1' }, secretKey);
+  const firmada = proveedor.interpretarNotificacion({ headers: {}, query: {}, body: { token: 'tok-1', s } });
+  assert.deepEqual(firmada.verificacion, { valido: true });
+  assert.equal(firmada.esPago, true);
+});
+
+test('el simulado rechaza llamadas firmadas con otra secretKey', async () => {
+  await assert.rejects(
+    llamarFlow('GET', 'payment/getStatus', { token: 'x' }, { config: { ...config, secretKey: 'otra' } }),
+    /Flow payment\/getStatus: Invalid signature/
+  );
+});
+
+test('ida y vuelta con el simulado: crear, pagar, confirmar y consultar', async () => {
+  const creada = await llamarFlow('POST', 'payment/create', {
+    commerceOrder: 'orden-prueba-1',
+    subject: 'Paquete de 60 créditos',
+    currency: 'PEN',
+    amount: 10,
+    email: 'cliente@example.com',
+    urlConfirmation: `${urlDe(receptor)}/flow/confirmacion`,
+    urlReturn: 'http://127.0.0.1/flow/retorno'
+  }, { config });
+  assert.ok(creada.token);
+  assert.match(creada.url, /\/app\/web\/pay\.php$/);
+
+  const pendiente = await llamarFlow('GET', 'payment/getStatus', { token: creada.token }, { config });
+  assert.equal(pendiente.status, 1);
+
+  const respuesta = await fetch(`${urlDe(simulado)}/simulador/pagos/${creada.token}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status: 2 })
+  });
+  const simulacion = await respuesta.json();
+  assert.equal(simulacion.confirmacion, 200);
+  assert.equal(confirmaciones.at(-1)?.token, creada.token);
+  assert.deepEqual(verificarFirmaFlow({ ...confirmaciones.at(-1) }, secretKey), { valido: true });
+
+  const pagado = await llamarFlow('GET', 'payment/getStatusByCommerceId', { commerceId: 'orden-prueba-1' }, { config });
+  assert.equal(pagado.status, 2);
+  assert.equal(pagado.flowOrder, creada.flowOrder);
+
+  const pago = normalizarPagoFlow(pagado, { uid: 'uid-prueba', planId: '60_creditos', email: 'cliente@example.com', monto: 10 });
+  assert.equal(pago.estado, 'approved');
+  assert.equal(pago.paymentId, `flow_${creada.flowOrder}`);
+  assert.equal(pago.externalReference, 'orden-prueba-1');
+  assert.equal(pago.monto, 10);
+  assert.equal(pago.montoEsperado, 10);
+});
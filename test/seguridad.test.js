@@ -0,0 +1,24 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkLoginBlock } from '../seguridad.js';
+
+afterEach(() => {
+  delete process.env.LOGIN_ATTEMPTS_STORE;
+});
+
+test('sin Firebase ni LOGIN_ATTEMPTS_STORE=memory el login falla cerrado', async () => {
+  delete process.env.LOGIN_ATTEMPTS_STORE;
+
+  const estado = await checkLoginBlock('cliente@example.com', '203.0.113.5');
+
+  assert.equal(estado.isBlocked, true);
+  assert.equal(estado.blockedBy, 'almacen_no_disponible');
+});
+
+test('con LOGIN_ATTEMPTS_STORE=memory se usa el almacén en memoria', async () => {
+  process.env.LOGIN_ATTEMPTS_STORE = 'memory';
+
+  const estado = await checkLoginBlock('cliente@example.com', '203.0.113.5');
+
+  assert.deepEqual(estado, { isBlocked: false, attempts: 0 });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hitoVencimiento, duracionPlanDias, ultimaCompraCreditos } from '../suscripciones.js';
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+test('un plan de 7 días recién comprado no avisa que vence en 7 días', () => {
+  const ahora = new Date();
+  const vence = new Date(ahora.getTime() + 7 * DIA_MS);
+  const usuario = { tipoPlan: 'ilimitado', duracionDias: 7, planIlimitadoHasta: vence, fechaActivacion: ahora };
+
+  const duracion = duracionPlanDias(usuario, 'ilimitado', vence);
+  assert.equal(duracion, 7);
+  assert.equal(hitoVencimiento(7, duracion), null);
+  assert.equal(hitoVencimiento(3, duracion), 3);
+  assert.equal(hitoVencimiento(1, duracion), 1);
+});
+
+test('un plan más largo avisa desde el hito de 7 días', () => {
+  assert.equal(hitoVencimiento(7, 30), 7);
+  assert.equal(hitoVencimiento(5, 30), 7);
+  assert.equal(hitoVencimiento(8, 30), null);
+  assert.equal(hitoVencimiento(5), 7);
+});
+
+test('la duración de un plan de empresa se mide desde su activación', () => {
+  const activatedAt = new Date('2026-10-01T00:00:00Z');
+  const vence = new Date('2026-10-31T00:00:00Z');
+
+  assert.equal(duracionPlanDias({ activatedAt }, 'revenue_recovery', vence), 30);
+  assert.equal(duracionPlanDias({}, 'revenue_recovery', vence), null);
+});
+
+test('el aviso de saldo bajo solo cuenta compras de paquetes de créditos', () => {
+  const compra = new Date('2026-10-01T00:00:00Z');
+  const vencido = { tipoPlan: 'creditos', creditos: 0, ultimaCompra: compra, planIlimitadoHasta: compra, planVencidoEn: compra };
+
+  assert.equal(ultimaCompraCreditos(vencido), null);
+  assert.equal(ultimaCompraCreditos({ ...vencido, ultimaCompraCreditos: compra }).getTime(), compra.getTime());
+  assert.equal(ultimaCompraCreditos({ tipoPlan: 'creditos', ultimaCompra: compra }).getTime(), compra.getTime());
+});
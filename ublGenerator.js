@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import moment from 'moment-timezone';
+import { EMISOR, TIPOS_COMPROBANTE, calcularTotales } from './pdfGenerator.js';
+
+// ================================================================
+// 🧾 XML UBL 2.1 DE COMPROBANTES ELECTRÓNICOS (SUNAT)
+// ================================================================
+
+const NAMESPACES = {
+    Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+    CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2'
+};
+
+// Catálogo 09: motivos de nota de crédito
+const MOTIVOS_NOTA_CREDITO = {
+    'Anulación por contracargo': '01',
+    'Devolución total': '06'
+};
+
+function escaparXml(valor) {
+    return String(valor ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+const monto = (n) => Number(n).toFixed(2);
+
+const UNIDADES = ['', 'UNO', 'DOS', 'TRES', 'CUATRO', 'CINCO', 'SEIS', 'SIETE', 'OCHO', 'NUEVE', 'DIEZ',
+    'ONCE', 'DOCE', 'TRECE', 'CATORCE', 'QUINCE', 'DIECISÉIS', 'DIECISIETE', 'DIECIOCHO', 'DIECINUEVE', 'VEINTE',
+    'VEINTIUNO', 'VEINTIDÓS', 'VEINTITRÉS', 'VEINTICUATRO', 'VEINTICINCO', 'VEINTISÉIS', 'VEINTISIETE', 'VEINTIOCHO', 'VEINTINUEVE'];
+const DECENAS = ['', '', '', 'TREINTA', 'CUARENTA', 'CINCUENTA', 'SESENTA', 'SETENTA', 'OCHENTA', 'NOVENTA'];
+const CENTENAS = ['', 'CIENTO', 'DOSCIENTOS', 'TRESCIENTOS', 'CUATROCIENTOS', 'QUINIENTOS', 'SEISCIENTOS', 'SETECIENTOS', 'OCHOCIENTOS', 'NOVECIENTOS'];
+
+function menorAMil(n) {
+    if (n === 100) return 'CIEN';
+    const c = Math.floor(n / 100);
+    const resto = n % 100;
+    let texto = CENTENAS[c];
+    if (resto) {
+        const parte = resto < 30
+            ? UNIDADES[resto]
+            : DECENAS[Math.floor(resto / 10)] + (resto % 10 ? ` Y ${UNIDADES[resto % 10]}` : '');
+        texto = texto ? `${texto} ${parte}` : parte;
+    }
+    return texto;
+}
+
+/**
+ * Importe en letras para la leyenda 1000 (p. ej. "CIENTO OCHENTA CON 00/100 SOLES")
+ */
+export function montoEnLetras(valor, moneda = 'SOLES') {
+    const entero = Math.floor(valor);
+    const centimos = String(Math.round((valor - entero) * 100)).padStart(2, '0');
+    const millones = Math.floor(entero / 1000000);
+    const miles = Math.floor((entero % 1000000) / 1000);
+    const resto = entero % 1000;
+
+    const partes = [];
+    if (millones) partes.push(millones === 1 ? 'UN MILLÓN' : `${menorAMil(millones)} MILLONES`);
+    if (miles) partes.push(miles === 1 ? 'MIL' : `${menorAMil(miles)} MIL`);
+    if (resto) partes.push(menorAMil(resto));
+
+    return `${partes.join(' ') || 'CERO'} CON ${centimos}/100 ${moneda}`;
+}
+
+function bloqueImpuesto(opGravada, igv, conPorcentaje = false) {
+    return `<cac:TaxTotal>
+        <cbc:TaxAmount currencyID="PEN">${monto(igv)}</cbc:TaxAmount>
+        <cac:TaxSubtotal>
+            <cbc:TaxableAmount currencyID="PEN">${monto(opGravada)}</cbc:TaxableAmount>
+            <cbc:TaxAmount currencyID="PEN">${monto(igv)}</cbc:TaxAmount>
+            <cac:TaxCategory>${conPorcentaje ? `
+                <cbc:Percent>18</cbc:Percent>
+                <cbc:TaxExemptionReasonCode>10</cbc:TaxExemptionReasonCode>` : ''}
+                <cac:TaxScheme>
+                    <cbc:ID>1000</cbc:ID>
+                    <cbc:Name>IGV</cbc:Name>
+                    <cbc:TaxTypeCode>VAT</cbc:TaxTypeCode>
+                </cac:TaxScheme>
+            </cac:TaxCategory>
+        </cac:TaxSubtotal>
+    </cac:TaxTotal>`;
+}
+
+/**
+ * Construye el XML UBL 2.1 (Invoice para boleta/factura, CreditNote para notas de crédito)
+ * a partir de los mismos datos que generateInvoicePDF.
+ * La firma digital (ext:UBLExtensions) la completa el proveedor de firma/OSE al enviarlo, así que
+ * `valorResumen` (SHA-256 en base64 del XML sin firmar) es PROVISIONAL: no coincide con el
+ * DigestValue del documento firmado, que es el valor resumen oficial cuando exista.
+ */
+export function buildInvoiceXML(data) {
+    const {
+        orderId,
+        amount,
+        description,
+        clientName = '',
+        clientDocument = null,
+        type = 'boleta',
+        serie = null,
+        correlativo = null,
+        cliente = null,
+        fechaEmision = null,
+        documentoReferencia = null,
+        motivoNota = null
+    } = data;
+
+    const comprobante = TIPOS_COMPROBANTE[type];
+    if (!comprobante) throw new Error(`Tipo de comprobante ${type} no soportado`);
+    if (!correlativo) throw new Error('El comprobante no tiene correlativo asignado');
+
+    const esNotaCredito = comprobante.codigo === '07';
+    const raiz = esNotaCredito ? 'CreditNote' : 'Invoice';
+    const numero = `${serie || comprobante.serie}-${String(correlativo).padStart(8, '0')}`;
+    const fecha = moment(fechaEmision || new Date()).tz('America/Lima');
+    const { opGravada, igv, total } = calcularTotales(amount);
+
+    // Adquirente: RUC (6), DNI (1) o no identificado (-) según el monto de la boleta
+    let adquirente = { tipoDoc: '-', numDoc: '-', nombre: (clientName || 'CLIENTES VARIOS').toUpperCase() };
+    if (cliente?.ruc) {
+        adquirente = { tipoDoc: '6', numDoc: cliente.ruc, nombre: cliente.razonSocial.toUpperCase() };
+    } else if (total > 700 && clientDocument) {
+        adquirente = { tipoDoc: '1', numDoc: clientDocument, nombre: adquirente.nombre };
+    }
+
+    const cabeceraTipo = esNotaCredito
+        ? `<cac:DiscrepancyResponse>
+        <cbc:ReferenceID>${escaparXml(documentoReferencia)}</cbc:ReferenceID>
+        <cbc:ResponseCode>${MOTIVOS_NOTA_CREDITO[motivoNota] || '01'}</cbc:ResponseCode>
+        <cbc:Description>${escaparXml(motivoNota || 'Anulación de la operación')}</cbc:Description>
+    </cac:DiscrepancyResponse>
+    <cac:BillingReference>
+        <cac:InvoiceDocumentReference>
+            <cbc:ID>${escaparXml(documentoReferencia)}</cbc:ID>
+            <cbc:DocumentTypeCode>${String(documentoReferencia || '').startsWith('F') ? '01' : '03'}</cbc:DocumentTypeCode>
+        </cac:InvoiceDocumentReference>
+    </cac:BillingReference>`
+        : '';
+
+    const lineaCantidad = esNotaCredito ? 'CreditedQuantity' : 'InvoicedQuantity';
+    const lineaRaiz = esNotaCredito ? 'CreditNoteLine' : 'InvoiceLine';
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<${raiz} xmlns="${NAMESPACES[raiz]}" xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2" xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2" xmlns:ds="http://www.w3.org/2000/09/xmldsig#" xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2">
+    <ext:UBLExtensions>
+        <ext:UBLExtension>
+            <ext:ExtensionContent/>
+        </ext:UBLExtension>
+    </ext:UBLExtensions>
+    <cbc:UBLVersionID>2.1</cbc:UBLVersionID>
+    <cbc:CustomizationID>2.0</cbc:CustomizationID>
+    <cbc:ID>${numero}</cbc:ID>
+    <cbc:IssueDate>${fecha.format('YYYY-MM-DD')}</cbc:IssueDate>
+    <cbc:IssueTime>${fecha.format('HH:mm:ss')}</cbc:IssueTime>${esNotaCredito ? '' : `
+    <cbc:InvoiceTypeCode listID="0101">${comprobante.codigo}</cbc:InvoiceTypeCode>`}
+    <cbc:Note languageLocaleID="1000">${montoEnLetras(total)}</cbc:Note>
+    <cbc:DocumentCurrencyCode>PEN</cbc:DocumentCurrencyCode>${cabeceraTipo ? `
+    ${cabeceraTipo}` : ''}
+    <cac:Signature>
+        <cbc:ID>${EMISOR.ruc}</cbc:ID>
+        <cac:SignatoryParty>
+            <cac:PartyIdentification>
+                <cbc:ID>${EMISOR.ruc}</cbc:ID>
+            </cac:PartyIdentification>
+            <cac:PartyName>
+                <cbc:Name>${escaparXml(EMISOR.razonSocial)}</cbc:Name>
+            </cac:PartyName>
+        </cac:SignatoryParty>
+        <cac:DigitalSignatureAttachment>
+            <cac:ExternalReference>
+                <cbc:URI>#SignatureSP</cbc:URI>
+            </cac:ExternalReference>
+        </cac:DigitalSignatureAttachment>
+    </cac:Signature>
+    <cac:AccountingSupplierParty>
+        <cac:Party>
+            <cac:PartyIdentification>
+                <cbc:ID schemeID="6">${EMISOR.ruc}</cbc:ID>
+            </cac:PartyIdentification>
+            <cac:PartyLegalEntity>
+                <cbc:RegistrationName>${escaparXml(EMISOR.razonSocial)}</cbc:RegistrationName>
+                <cac:RegistrationAddress>
+                    <cbc:ID>${EMISOR.ubigeo}</cbc:ID>
+                    <cbc:AddressTypeCode>0000</cbc:AddressTypeCode>
+                    <cac:AddressLine>
+                        <cbc:Line>${escaparXml(EMISOR.direccion)}</cbc:Line>
+                    </cac:AddressLine>
+                </cac:RegistrationAddress>
+            </cac:PartyLegalEntity>
+        </cac:Party>
+    </cac:AccountingSupplierParty>
+    <cac:AccountingCustomerParty>
+        <cac:Party>
+            <cac:PartyIdentification>
+                <cbc:ID schemeID="${adquirente.tipoDoc}">${escaparXml(adquirente.numDoc)}</cbc:ID>
+            </cac:PartyIdentification>
+            <cac:PartyLegalEntity>
+                <cbc:RegistrationName>${escaparXml(adquirente.nombre)}</cbc:RegistrationName>${cliente?.direccion ? `
+                <cac:RegistrationAddress>
+                    <cac:AddressLine>
+                        <cbc:Line>${escaparXml(cliente.direccion)}</cbc:Line>
+                    </cac:AddressLine>
+                </cac:RegistrationAddress>` : ''}
+            </cac:PartyLegalEntity>
+        </cac:Party>
+    </cac:AccountingCustomerParty>
+    ${bloqueImpuesto(opGravada, igv)}
+    <cac:LegalMonetaryTotal>
+        <cbc:LineExtensionAmount currencyID="PEN">${monto(opGravada)}</cbc:LineExtensionAmount>
+        <cbc:TaxInclusiveAmount currencyID="PEN">${monto(total)}</cbc:TaxInclusiveAmount>
+        <cbc:PayableAmount currencyID="PEN">${monto(total)}</cbc:PayableAmount>
+    </cac:LegalMonetaryTotal>
+    <cac:${lineaRaiz}>
+        <cbc:ID>1</cbc:ID>
+        <cbc:${lineaCantidad} unitCode="ZZ">1</cbc:${lineaCantidad}>
+        <cbc:LineExtensionAmount currencyID="PEN">${monto(opGravada)}</cbc:LineExtensionAmount>
+        <cac:PricingReference>
+            <cac:AlternativeConditionPrice>
+                <cbc:PriceAmount currencyID="PEN">${monto(total)}</cbc:PriceAmount>
+                <cbc:PriceTypeCode>01</cbc:PriceTypeCode>
+            </cac:AlternativeConditionPrice>
+        </cac:PricingReference>
+        ${bloqueImpuesto(opGravada, igv, true)}
+        <cac:Item>
+            <cbc:Description>${escaparXml(description || 'Servicio de Acceso a Infraestructura Digital')}</cbc:Description>
+            <cac:SellersItemIdentification>
+                <cbc:ID>${escaparXml(orderId)}</cbc:ID>
+            </cac:SellersItemIdentification>
+        </cac:Item>
+        <cac:Price>
+            <cbc:PriceAmount currencyID="PEN">${monto(opGravada)}</cbc:PriceAmount>
+        </cac:Price>
+    </cac:${lineaRaiz}>
+</${raiz}>
+`;
+
+    const valorResumen = crypto.createHash('sha256').update(xml, 'utf8').digest('base64');
+    return { xml, valorResumen, valorResumenProvisional: true, numero, nombreArchivo: `${EMISOR.ruc}-${comprobante.codigo}-${numero}.xml` };
+}